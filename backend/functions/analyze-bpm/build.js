@@ -0,0 +1,46 @@
+/**
+ * Flux Function Build
+ * Deployable bundle in dist/: the function sources plus a copy of flux-shared,
+ * which lives outside this directory and would otherwise be missing from the upload
+ */
+
+import { cp, mkdir, readFile, readdir, rm, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const SHARED = join(ROOT, '../../../shared');
+const DIST = join(ROOT, 'dist');
+
+// Что попадает в функцию: обработчик и библиотека анализа
+const SOURCES = ['index.js', 'lib'];
+
+export async function build() {
+    await rm(DIST, { recursive: true, force: true });
+    await mkdir(DIST, { recursive: true });
+
+    for (const source of SOURCES) {
+        await cp(join(ROOT, source), join(DIST, source), { recursive: true });
+    }
+
+    // flux-shared копируется целиком (только модули и package.json) и подключается локальным путём
+    const sharedFiles = (await readdir(SHARED)).filter(name => name.endsWith('.js') || name === 'package.json');
+    await mkdir(join(DIST, 'flux-shared'));
+    for (const name of sharedFiles) {
+        await cp(join(SHARED, name), join(DIST, 'flux-shared', name));
+    }
+
+    // Облако ставит зависимости из package.json: dev-зависимости и скрипты ему не нужны
+    const pkg = JSON.parse(await readFile(join(ROOT, 'package.json'), 'utf8'));
+    const { devDependencies, scripts, files, ...bundle } = pkg;
+    bundle.dependencies = { ...pkg.dependencies, 'flux-shared': 'file:./flux-shared' };
+    await writeFile(join(DIST, 'package.json'), JSON.stringify(bundle, null, 2) + '\n');
+
+    return { dist: DIST, shared: sharedFiles };
+}
+
+// Запуск: node build.js (или npm run build)
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const { dist, shared } = await build();
+    console.log(`📦 Сборка функции: ${dist} (flux-shared: ${shared.join(', ')})`);
+}
@@ -3,38 +3,70 @@
  * Node.js 22 для Яндекс.Облака
  */
 
-// Импорт для будущих расширений (если понадобится)
-import { createHash } from 'crypto';
-import { promisify } from 'util';
+import FluxMusicTheory from 'flux-shared/music-theory.js';
+import FluxErrors from 'flux-shared/errors.js';
+import { runBatch, summarizeBatch } from 'flux-shared/batch.js';
+import { originsFromEnv, createOriginMatcher, corsHeaders, preflightHeaders } from 'flux-shared/cors.js';
+import { downloadAudio, readAudio, AudioSourceError } from './lib/audio-source.js';
+import { createResultCache, contentHash, cacheKey, cacheEntry, currentAnalysis } from './lib/result-cache.js';
+import { ALGORITHM_VERSION, RESULTS_SCHEMA_VERSION } from './lib/version.js';
+import { resolveAlgorithm, AnalysisOptionError, ALGORITHMS, PROFILES } from './lib/algorithms.js';
+import { onsetEnvelope, detectTempo } from './lib/tempo.js';
+import { trackBeats, buildBeatGrid } from './lib/beats.js';
+import { buildTempoMap } from './lib/tempo-map.js';
+import { barFeatures, detectStructure } from './lib/structure.js';
+import { measureEnergy } from './lib/energy.js';
+import { buildWaveform } from './lib/waveform.js';
+import { detectKey } from './lib/key.js';
+import { measureLoudness } from './lib/loudness.js';
+import { measureSpectrum } from './lib/spectral.js';
+import { detectVocals } from './lib/vocals.js';
+import { detectSilence, firstBeatOffset } from './lib/silence.js';
+import { assessQuality } from './lib/quality.js';
 
-const sleep = promisify(setTimeout);
+const resultCache = createResultCache();
+
+// Разрешённые источники: CORS_ORIGINS через запятую, поддомены — https://*.example.com,
+// превью Vercel этого проекта — CORS_ALLOW_PREVIEWS=true
+const isAllowedOrigin = createOriginMatcher(originsFromEnv());
+
+// Пакетный анализ укладывается в таймаут и память одной функции только для небольших пакетов
+const MAX_BATCH_ITEMS = 10;
+const MAX_BATCH_CONCURRENCY = 2;
 
 export const handler = async (event, context) => {
     console.log('🚀 Flux Analyzer (Node.js 22) запущен');
-    console.log('📦 Event:', JSON.stringify(event, null, 2));
+    console.log('📦 Event:', JSON.stringify(
+        event.isBase64Encoded ? { ...event, body: `<${event.body?.length || 0} base64 chars>` } : event,
+        null, 2
+    ));
     
     // Метрики выполнения
     const startTime = Date.now();
     const requestId = context.requestId || 
                      `yc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
+    // Разрешённый Origin возвращается как есть, для остальных CORS-заголовков нет
+    const origin = getHeader(event, 'Origin');
+    const cors = corsHeaders(origin, isAllowedOrigin);
+    
     try {
-        // CORS headers
         const headers = {
             'Content-Type': 'application/json; charset=utf-8',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Request-ID',
-            'Access-Control-Allow-Methods': 'POST, GET, OPTIONS, DELETE',
-            'Access-Control-Max-Age': '86400',
+            ...cors,
             'X-Request-ID': requestId,
             'X-Powered-By': 'Flux AI/Node.js 22'
         };
         
         // OPTIONS запрос (CORS preflight)
         if (event.httpMethod === 'OPTIONS') {
+            if (origin && !isAllowedOrigin(origin)) {
+                return errorResponse('ORIGIN_NOT_ALLOWED', headers, { details: { origin }, requestId });
+            }
+            
             return {
                 statusCode: 204,
-                headers,
+                headers: { ...headers, ...preflightHeaders() },
                 body: ''
             };
         }
@@ -48,6 +80,10 @@ export const handler = async (event, context) => {
                     success: true,
                     service: 'Flux AI Analyzer',
                     version: '2.2.0',
+                    algorithmVersion: ALGORITHM_VERSION,
+                    schemaVersion: RESULTS_SCHEMA_VERSION,
+                    algorithms: Object.keys(ALGORITHMS),
+                    profiles: Object.keys(PROFILES),
                     runtime: 'Node.js 22',
                     nodeVersion: process.version,
                     memory: process.memoryUsage(),
@@ -61,22 +97,24 @@ export const handler = async (event, context) => {
         
         // Парсинг тела запроса
         let requestData;
-        if (event.body) {
+        let uploadBytes = null;
+        if (isBinaryUpload(event)) {
+            // Файл пришёл в теле запроса, опции — в query string
+            uploadBytes = Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'binary');
+            requestData = {
+                options: event.queryStringParameters || {},
+                fileName: uploadFileName(event)
+            };
+        } else if (event.body) {
             try {
                 requestData = typeof event.body === 'string' 
                     ? JSON.parse(event.body) 
                     : event.body;
             } catch (parseError) {
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify({
-                        success: false,
-                        error: 'Invalid JSON body',
-                        message: parseError.message,
-                        requestId
-                    }, null, 2)
-                };
+                return errorResponse('INVALID_JSON', headers, {
+                    message: `Request body is not valid JSON: ${parseError.message}`,
+                    requestId
+                });
             }
         } else {
             // Для тестирования из консоли Яндекс.Облака
@@ -85,8 +123,40 @@ export const handler = async (event, context) => {
         
         console.log('📨 Полученные данные:', requestData);
         
-        // Извлечение audioUrl
-        const audioUrl = requestData.audioUrl || 
+        // Пакет треков: { items: [...] }
+        if (Array.isArray(requestData.items)) {
+            return await analyzeBatch(requestData, context, headers, requestId);
+        }
+        
+        // Опции анализа (detailed включает сетку долей и т.п.)
+        const options = requestData.options || {};
+        const detailed = options.detailed === true || options.detailed === 'true';
+        const waveformBands = options.waveformBands === true || options.waveformBands === 'true';
+        const withWaveform = waveformBands || options.waveform === true || options.waveform === 'true';
+        const refresh = options.refresh === true || options.refresh === 'true';
+        
+        // Режим (accurate/fast) и профиль темпа (auto/electronic/acoustic)
+        let method;
+        try {
+            method = resolveAlgorithm(options);
+        } catch (optionError) {
+            if (!(optionError instanceof AnalysisOptionError)) {
+                throw optionError;
+            }
+            
+            return errorResponse(optionError.code, headers, { message: optionError.message, requestId });
+        }
+        
+        // Вариант результата для ключа кэша: алгоритм и опции меняют ответ
+        const cacheVariant = [
+            method.algorithm,
+            method.profile,
+            detailed && 'detailed',
+            waveformBands ? 'bands' : withWaveform && 'waveform'
+        ].filter(Boolean).join('-');
+        
+        // Извлечение audioUrl (для загрузки файла не нужен)
+        const audioUrl = uploadBytes ? null : requestData.audioUrl || 
                         requestData.url || 
                         requestData.fileUrl ||
                         requestData.file;
@@ -94,230 +164,399 @@ export const handler = async (event, context) => {
         console.log('🎵 Audio URL:', audioUrl);
         
         // Валидация URL
-        if (!audioUrl || typeof audioUrl !== 'string') {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({
-                    success: false,
-                    error: 'Missing audioUrl parameter',
-                    help: 'Send JSON: {"audioUrl": "https://example.com/audio.mp3"}',
-                    requestId,
-                    timestamp: new Date().toISOString()
-                }, null, 2)
-            };
+        if (!uploadBytes && (!audioUrl || typeof audioUrl !== 'string')) {
+            return errorResponse('MISSING_AUDIO', headers, {
+                message: 'audioUrl is required',
+                details: { help: 'Send JSON: {"audioUrl": "https://example.com/audio.mp3"}' },
+                requestId
+            });
         }
         
         // Проверка формата URL
-        let parsedUrl;
+        let parsedUrl = null;
         try {
-            parsedUrl = new URL(audioUrl);
-            if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+            parsedUrl = audioUrl && new URL(audioUrl);
+            if (parsedUrl && !['http:', 'https:'].includes(parsedUrl.protocol)) {
                 throw new Error('Invalid protocol');
             }
         } catch (urlError) {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({
-                    success: false,
-                    error: 'Invalid audio URL',
-                    message: 'URL must be valid HTTP/HTTPS link',
-                    requestId,
-                    timestamp: new Date().toISOString()
-                }, null, 2)
-            };
+            return errorResponse('AUDIO_URL_INVALID', headers, { message: 'URL must be valid HTTP/HTTPS link', requestId });
         }
         
-        console.log('🧠 Начинаю анализ для:', parsedUrl.hostname);
-        
-        // Имитация обработки аудио (в продакшене здесь будет реальный анализ)
-        await sleep(100); // Имитация задержки обработки
-        
-        // Генерация детерминированных результатов на основе URL
-        const urlHash = createHash('md5')
-            .update(audioUrl)
-            .digest('hex');
-        
-        const hashInt = parseInt(urlHash.slice(0, 8), 16);
-        
-        // Генерация BPM (80-140)
-        const bpm = 80 + (hashInt % 61);
-        
-        // Тональности
-        const keys = [
-            { key: 'C', camelot: '8B', type: 'major', color: '#FF6B6B' },
-            { key: 'Am', camelot: '8A', type: 'minor', color: '#4ECDC4' },
-            { key: 'G', camelot: '9B', type: 'major', color: '#FFD166' },
-            { key: 'Em', camelot: '9A', type: 'minor', color: '#06D6A0' },
-            { key: 'D', camelot: '10B', type: 'major', color: '#118AB2' },
-            { key: 'Bm', camelot: '10A', type: 'minor', color: '#073B4C' },
-            { key: 'A', camelot: '11B', type: 'major', color: '#EF476F' },
-            { key: 'F#m', camelot: '11A', type: 'minor', color: '#7209B7' },
-            { key: 'E', camelot: '12B', type: 'major', color: '#3A86FF' },
-            { key: 'C#m', camelot: '12A', type: 'minor', color: '#FB5607' }
-        ];
-        
-        const selectedKey = keys[hashInt % keys.length];
-        
-        // Карта совместимости Camelot Wheel
-        const camelotWheel = {
-            '8A': ['8A', '7A', '9A', '8B', '7B', '9B'],
-            '8B': ['8B', '7B', '9B', '8A', '7A', '9A'],
-            '9A': ['9A', '8A', '10A', '9B', '8B', '10B'],
-            '9B': ['9B', '8B', '10B', '9A', '8A', '10A'],
-            '10A': ['10A', '9A', '11A', '10B', '9B', '11B'],
-            '10B': ['10B', '9B', '11B', '10A', '9A', '11A'],
-            '11A': ['11A', '10A', '12A', '11B', '10B', '12B'],
-            '11B': ['11B', '10B', '12B', '11A', '10A', '12A'],
-            '12A': ['12A', '11A', '1A', '12B', '11B', '1B'],
-            '12B': ['12B', '11B', '1B', '12A', '11A', '1A'],
-            '1A': ['1A', '12A', '2A', '1B', '12B', '2B'],
-            '1B': ['1B', '12B', '2B', '1A', '12A', '2A']
+        console.log('🧠 Начинаю анализ для:', parsedUrl ? parsedUrl.hostname : `файла ${requestData.fileName || ''} (${uploadBytes.length} bytes)`);
+        
+        // Данные запроса, которые не кэшируются вместе с результатом
+        const requestMetadata = {
+            url: audioUrl,
+            domain: parsedUrl ? parsedUrl.hostname : null,
+            fileName: requestData.fileName || null,
+            requestType: uploadBytes ? 'Upload' : event.httpMethod ? 'HTTP' : 'Console',
+            requestId
         };
         
+        // Загрузка, проверка кэша и декодирование аудио
+        let audio;
+        let audioHash;
+        let cacheKeyName;
+        try {
+            const audioBytes = uploadBytes || await downloadAudio(audioUrl);
+            
+            // Кэш по содержимому: тот же файл по другой ссылке или под другим именем не анализируется заново
+            audioHash = contentHash(audioBytes);
+            cacheKeyName = cacheKey(audioHash, cacheVariant);
+            
+            const cached = refresh ? null : await readCachedAnalysis(cacheKeyName);
+            if (cached) {
+                console.log('💾 Результат из кэша:', cacheKeyName);
+                
+                return analysisResponse({
+                    ...cached,
+                    processingTime: Date.now() - startTime,
+                    metadata: { ...cached.metadata, ...requestMetadata }
+                }, headers, 'HIT');
+            }
+            
+            audio = await readAudio(audioBytes);
+        } catch (sourceError) {
+            if (!(sourceError instanceof AudioSourceError)) {
+                throw sourceError;
+            }
+            
+            return errorResponse(sourceError.code, headers, { message: sourceError.message, requestId });
+        }
+        
+        console.log('🎧 Аудио декодировано:', audio.format, audio.duration.toFixed(1), 's @', audio.sampleRate, 'Hz');
+        
+        // Тишина в начале и конце рипа сбивает автокью: первая доля считается от первого слышимого сэмпла
+        const silence = detectSilence(audio.channelData, audio.sampleRate);
+        
+        // В полной тишине темп, тональность и доли были бы выдуманы
+        if (silence.silent) {
+            return errorResponse('NO_AUDIBLE_CONTENT', headers, {
+                message: `No audio above ${silence.thresholdDb} dBFS in ${audio.duration.toFixed(1)} s`,
+                requestId
+            });
+        }
+        
+        // Измерение темпа по сигналу
+        const onset = onsetEnvelope(audio.signal, audio.signalRate, method.settings.onset);
+        const tempo = detectTempo(onset, method.tempoRange);
+        const bpm = tempo.bpm;
+        
+        // Бочка задаёт фазу сетки надёжнее, чем хай-хэты на слабых долях
+        const beats = trackBeats(onset.envelope, tempo.period, onset.bassEnvelope);
+        
+        const firstBeat = firstBeatOffset(onset, beats, silence);
+        
+        // Карта темпа: живые барабаны и плавные разгоны не ложатся на одну сетку
+        const tempoMap = buildTempoMap(onset, tempo, beats, audio.duration);
+        
+        // Секции трека (интро, билд, дроп, брейкдаун, аутро) по тактам
+        const bars = barFeatures(audio.signal, audio.signalRate, onset, beats);
+        const structure = detectStructure(bars, audio.duration);
+        
+        // Секции с вокалом: наложение двух вокалов — самый частый конфликт при сведении
+        const vocals = detectVocals(audio.signal, audio.signalRate, bars, method.settings.vocals);
+        
+        // Кривая энергии по тактам
+        const energy = measureEnergy(bars);
+        
+        // Сетка долей и сильные доли — только по запросу
+        const beatGrid = detailed ? buildBeatGrid(onset, beats) : undefined;
+        
+        // Спектральные дескрипторы для поиска похожих треков и конфликтов в басу
+        const spectral = detailed
+            ? measureSpectrum(audio.signal, audio.signalRate, method.settings.spectral)
+            : undefined;
+        
+        // Пики волны для отрисовки без повторного декодирования (options.waveform)
+        const waveform = withWaveform
+            ? buildWaveform(audio.signal, audio.signalRate, { bands: waveformBands })
+            : undefined;
+        
+        // Остальные метрики пока детерминированы по содержимому файла
+        const hashInt = parseInt(audioHash.slice(0, 8), 16);
+        
+        // Определение тональности по хромаграмме
+        const detectedKey = detectKey(audio.signal, audio.signalRate, method.settings.key);
+        
+        // Громкость по EBU R128 на исходных каналах
+        const loudness = measureLoudness(audio.channelData, audio.sampleRate);
+        
+        // Качество файла: клиппинг, постоянная составляющая, фаза стерео и реальная полоса
+        const quality = assessQuality(audio.channelData, audio.sampleRate, {
+            format: audio.format,
+            byteLength: audio.byteLength,
+            duration: audio.duration
+        });
+        
+        // Совместимые позиции на колесе Camelot
+        const compatibleKeys = FluxMusicTheory.getCompatibleKeys(detectedKey.camelot);
+        
         // Дополнительные метрики
-        const energy = 0.3 + ((hashInt % 71) / 100);
-        const loudness = -10 - (hashInt % 16);
-        const duration = 120 + (hashInt % 301);
-        const confidence = 0.7 + ((hashInt % 31) / 100);
         const danceability = 0.5 + ((hashInt % 51) / 100);
         const valence = 0.3 + ((hashInt % 71) / 100);
-        const tempoStability = 0.8 + ((hashInt % 21) / 100);
         
         // Формирование результата
         const analysis = {
             // Основные метрики
             bpm,
-            key: selectedKey.key,
-            camelot: selectedKey.camelot,
-            keyType: selectedKey.type,
-            color: selectedKey.color,
+            // Половинный, двойной и триольный темп с уверенностью: выбор остаётся за диджеем
+            tempoCandidates: tempo.candidates,
+            key: detectedKey.key,
+            camelot: detectedKey.camelot,
+            openKey: detectedKey.openKey,
+            keyType: detectedKey.keyType,
+            color: detectedKey.color,
+            keyScore: detectedKey.score,
+            // Отклонение строя от A4 = 440 Гц в центах (null, если тональных пиков мало)
+            tuning: detectedKey.tuning,
+            runnerUpKey: detectedKey.runnerUp,
             
             // Аудио характеристики
-            energy: Number(energy.toFixed(3)),
-            loudness,
-            duration,
+            energy: energy.stats.mean,
+            energyCurve: energy.curve,
+            energyStats: energy.stats,
+            loudness: loudness.integratedLufs,
+            loudnessUnit: 'LUFS',
+            loudnessR128: loudness,
+            duration: Number(audio.duration.toFixed(3)),
+            playableDuration: silence.playableDuration,
+            firstBeatOffset: firstBeat,
+            silence,
+            quality,
             danceability: Number(danceability.toFixed(3)),
             valence: Number(valence.toFixed(3)),
-            tempoStability: Number(tempoStability.toFixed(3)),
+            tempoStability: tempoMap.stability,
+            
+            // Карта темпа
+            tempoMap: tempoMap.segments,
+            tempoVariation: tempoMap.variation,
+            singleGridSafe: !tempoMap.variation.variable,
+            
+            // Структура и точки сведения
+            sections: structure.sections,
+            cues: structure.cues,
+            vocals,
+            
+            // Сетка долей и спектральные дескрипторы (options.detailed)
+            ...(detailed && { beatGrid, spectral }),
+            
+            // Пики волны (options.waveform / options.waveformBands)
+            ...(withWaveform && { waveform }),
             
             // Совместимость
-            compatibleKeys: camelotWheel[selectedKey.camelot] || [selectedKey.camelot],
-            harmonicMatches: camelotWheel[selectedKey.camelot]?.slice(1, 4) || [],
+            compatibleKeys,
+            harmonicMatches: compatibleKeys.slice(1, 4),
             
             // Метрики качества
-            confidence: Number(confidence.toFixed(3)),
+            confidence: tempo.confidence,
             analyzedAt: new Date().toISOString(),
             processingTime: Date.now() - startTime,
             
-            // Источник
-            source: 'Flux AI Engine v2.2',
-            algorithm: 'Neural Beat Detection',
-            modelVersion: '2024.12',
+            // Источник: что именно считало результат
+            source: `Flux Analyzer ${ALGORITHM_VERSION}`,
+            schemaVersion: RESULTS_SCHEMA_VERSION,
+            algorithm: {
+                name: method.algorithm,
+                profile: method.profile,
+                version: ALGORITHM_VERSION,
+                tempoRange: { minBpm: method.tempoRange.minBpm, maxBpm: method.tempoRange.maxBpm }
+            },
             
             // Метаданные
             metadata: {
-                url: audioUrl,
-                domain: parsedUrl.hostname,
-                requestType: event.httpMethod ? 'HTTP' : 'Console',
-                requestId,
+                ...requestMetadata,
                 nodeVersion: process.version,
                 region: process.env.YC_REGION || 'unknown',
-                functionMemory: context.memoryLimitInMB || 128
+                functionMemory: context.memoryLimitInMB || 1024,
+                audio: {
+                    format: audio.format,
+                    sampleRate: audio.sourceSampleRate,
+                    channels: audio.sourceChannels,
+                    bytes: audio.byteLength,
+                    sha256: audioHash
+                }
             }
         };
         
         console.log('✅ Анализ завершен за', analysis.processingTime, 'ms');
         
+        // Запись в кэш до ответа: после return функция может быть заморожена
+        await writeCachedAnalysis(cacheKeyName, analysis);
+        
         // Ответ
-        return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({
-                success: true,
-                data: analysis,
-                requestId,
-                timestamp: new Date().toISOString(),
-                executionTime: analysis.processingTime,
-                message: '🎵 Audio analysis successful!'
-            }, null, 2)
-        };
+        return analysisResponse(analysis, headers, resultCache && !refresh ? 'MISS' : 'BYPASS');
         
     } catch (error) {
         console.error('❌ Ошибка при анализе:', error);
         
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'X-Request-ID': requestId
-            },
-            body: JSON.stringify({
-                success: false,
-                error: 'Internal server error',
-                message: error.message,
-                stack: process.env.NODE_ENV === 'production' ? undefined : error.stack,
-                requestId,
-                timestamp: new Date().toISOString()
-            }, null, 2)
-        };
+        return errorResponse('INTERNAL_ERROR', {
+            'Content-Type': 'application/json',
+            ...cors,
+            'X-Request-ID': requestId
+        }, {
+            message: error.message,
+            details: process.env.NODE_ENV === 'production' ? undefined : { stack: error.stack },
+            requestId
+        });
     }
 };
 
-// Тестирование (только при локальном запуске)
-if (import.meta.url === `file://${process.argv[1]}`) {
-    console.log('🔧 Локальное тестирование функции...\n');
+/**
+ * Ответ с ошибкой из каталога flux-shared/errors.js: статус и признак повтора берутся по коду
+ */
+function errorResponse(code, headers, { message, details, requestId } = {}) {
+    return {
+        statusCode: FluxErrors.statusFor(code),
+        headers,
+        body: JSON.stringify(FluxErrors.errorBody(code, { message, details, requestId }), null, 2)
+    };
+}
+
+/**
+ * Успешный ответ с результатом анализа; X-Cache: HIT, MISS или BYPASS
+ */
+function analysisResponse(analysis, headers, cacheStatus) {
+    return {
+        statusCode: 200,
+        headers: { ...headers, 'X-Cache': cacheStatus },
+        body: JSON.stringify({
+            success: true,
+            data: analysis,
+            requestId: analysis.metadata.requestId,
+            timestamp: new Date().toISOString(),
+            executionTime: analysis.processingTime,
+            message: '🎵 Audio analysis successful!'
+        }, null, 2)
+    };
+}
+
+/**
+ * Чтение и запись кэша результатов. Ошибки хранилища не должны ломать анализ.
+ */
+async function readCachedAnalysis(key) {
+    if (!resultCache) return null;
     
-    const testEvents = [
-        // Тест 1: Прямой вызов (формат Яндекс.Облака)
-        {
-            audioUrl: 'https://assets.mixkit.co/music/preview/mixkit-tech-house-vibes-130.mp3'
-        },
-        
-        // Тест 2: HTTP формат
-        {
-            httpMethod: 'POST',
-            body: JSON.stringify({
-                audioUrl: 'https://assets.mixkit.co/music/preview/mixkit-deep-urban-623.mp3'
-            })
-        },
-        
-        // Тест 3: Health check
-        {
-            httpMethod: 'GET'
-        }
-    ];
+    try {
+        return currentAnalysis(await resultCache.get(key));
+    } catch (error) {
+        console.warn('⚠️ Кэш недоступен:', error.message);
+        return null;
+    }
+}
+
+async function writeCachedAnalysis(key, analysis) {
+    if (!resultCache) return;
+    
+    try {
+        await resultCache.set(key, cacheEntry(analysis));
+    } catch (error) {
+        console.warn('⚠️ Не удалось записать кэш:', error.message);
+    }
+}
+
+/**
+ * Analyze several tracks in one invocation.
+ * Каждый элемент — URL-строка, { audioUrl } или { audioData (base64), fileName, contentType };
+ * ошибки возвращаются по каждому элементу отдельно, а не для всего пакета.
+ */
+async function analyzeBatch(requestData, context, headers, requestId) {
+    const startTime = Date.now();
+    const { items } = requestData;
     
-    for (const [index, testEvent] of testEvents.entries()) {
-        console.log(`\n📋 Тест ${index + 1}:`, testEvent.httpMethod || 'Direct');
+    if (!items.length || items.length > MAX_BATCH_ITEMS) {
+        return errorResponse(items.length ? 'BATCH_TOO_LARGE' : 'EMPTY_BATCH', headers, {
+            message: `A batch must contain between 1 and ${MAX_BATCH_ITEMS} items`,
+            details: { maxItems: MAX_BATCH_ITEMS },
+            requestId
+        });
+    }
+    
+    const concurrency = Math.min(MAX_BATCH_CONCURRENCY, Math.max(1, Number(requestData.concurrency) || 1));
+    console.log(`📚 Пакет из ${items.length} треков, параллельно ${concurrency}`);
+    
+    const results = await runBatch(items, async (item, index) => {
+        const source = typeof item === 'string' ? { audioUrl: item } : item || {};
+        const options = { ...requestData.options, ...source.options };
         
-        try {
-            const result = await handler(testEvent, {
-                requestId: `test-${Date.now()}`,
-                memoryLimitInMB: 128
-            });
-            
-            console.log('✅ Результат:', {
-                statusCode: result.statusCode,
-                hasBody: !!result.body,
-                bodyPreview: result.body ? 
-                    JSON.parse(result.body).message || 'No message' : 
-                    'No body'
-            });
-            
-            if (result.body && index === 0) {
-                console.log('📊 Пример анализа:', 
-                    JSON.stringify(JSON.parse(result.body).data, null, 2));
+        // Каждый элемент проходит через тот же обработчик, что и одиночный запрос
+        const itemEvent = source.audioData
+            ? {
+                httpMethod: 'POST',
+                headers: {
+                    'Content-Type': source.contentType || 'application/octet-stream',
+                    'X-File-Name': encodeURIComponent(source.fileName || '')
+                },
+                queryStringParameters: options,
+                body: source.audioData,
+                isBase64Encoded: true
             }
-            
-        } catch (testError) {
-            console.error('❌ Тест провален:', testError);
+            : {
+                httpMethod: 'POST',
+                body: JSON.stringify({ audioUrl: source.audioUrl, options })
+            };
+        
+        const response = await handler(itemEvent, { ...context, requestId: `${requestId}-${index}` });
+        return { statusCode: response.statusCode, cache: response.headers['X-Cache'], body: JSON.parse(response.body) };
+    }, { concurrency });
+    
+    const summary = summarizeBatch(items, results, ({ ok, value, error }) => {
+        if (ok && value.statusCode === 200) {
+            return { success: true, cache: value.cache, data: value.body.data };
         }
         
-        await sleep(500);
-    }
+        return {
+            success: false,
+            error: ok
+                ? FluxErrors.fromBody(value.body, value.statusCode)
+                : FluxErrors.toErrorObject('INTERNAL_ERROR', { message: error.message })
+        };
+    });
+    
+    console.log(`✅ Пакет завершен: ${summary.succeeded}/${items.length} за`, Date.now() - startTime, 'ms');
     
-    console.log('\n✨ Все тесты завершены');
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            data: summary,
+            requestId,
+            timestamp: new Date().toISOString(),
+            executionTime: Date.now() - startTime
+        }, null, 2)
+    };
+}
+
+/**
+ * Заголовок запроса без учёта регистра
+ */
+function getHeader(event, name) {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+}
+
+/**
+ * Имя загруженного файла из X-File-Name (клиенты кодируют его encodeURIComponent).
+ * Битая кодировка не повод отклонять файл: тогда имя остаётся как пришло
+ */
+function uploadFileName(event) {
+    const header = getHeader(event, 'X-File-Name');
+    if (!header) return null;
+
+    try {
+        return decodeURIComponent(header) || null;
+    } catch {
+        return header;
+    }
+}
+
+/**
+ * Тело запроса — сам аудиофайл (audio/* или application/octet-stream)
+ */
+function isBinaryUpload(event) {
+    const contentType = (getHeader(event, 'Content-Type') || '').toLowerCase();
+    return Boolean(event.body) && (contentType.startsWith('audio/') || contentType.startsWith('application/octet-stream'));
 }
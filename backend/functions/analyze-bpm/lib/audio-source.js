@@ -0,0 +1,102 @@
+/**
+ * Flux Audio Source
+ * Загрузка аудио по ссылке или из тела запроса и декодирование
+ */
+
+import { ANALYSIS_SAMPLE_RATE, resample, toMono } from './dsp.js';
+import { decodeAudio, AudioDecodeError, DECODE_SAMPLE_RATE } from './decoder.js';
+import { safeFetch, SafeFetchError } from 'flux-shared/safe-fetch.js';
+import FluxErrors from 'flux-shared/errors.js';
+
+const DOWNLOAD_TIMEOUT = 8000;
+export const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+// Темпу нужно 4 с кадров онсетов, ещё секунда — запас на окна анализа.
+// Битый файл, из которого декодировались доли секунды, отсекается здесь же.
+export const MIN_AUDIO_DURATION = 5;
+
+// Декодированный PCM и сигналы анализа занимают около 1,1 МБ на секунду стерео 44,1 кГц:
+// 10 минут укладываются в память функции, а маленький файл на низком битрейте может звучать часами
+export const MAX_AUDIO_DURATION = 10 * 60;
+
+// Только для локальной разработки: разрешает ссылки на localhost и частные сети
+const ALLOW_PRIVATE_NETWORKS = process.env.ALLOW_PRIVATE_AUDIO_URLS === 'true';
+
+export class AudioSourceError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AudioSourceError';
+        this.statusCode = FluxErrors.statusFor(code);
+        this.code = code;
+    }
+}
+
+/**
+ * Download the track bytes.
+ * Ссылки на внутренние адреса, лишние редиректы, не-аудио и слишком большие файлы отклоняются.
+ */
+export async function downloadAudio(url) {
+    let download;
+    try {
+        download = await safeFetch(url, {
+            maxBytes: MAX_AUDIO_BYTES,
+            timeout: DOWNLOAD_TIMEOUT,
+            allowPrivateNetworks: ALLOW_PRIVATE_NETWORKS
+        });
+    } catch (error) {
+        if (error instanceof SafeFetchError) {
+            throw new AudioSourceError(error.message, error.code);
+        }
+        throw new AudioSourceError(`Audio download failed: ${error.message}`, 'DOWNLOAD_FAILED');
+    }
+
+    return new Uint8Array(download.bytes.buffer, download.bytes.byteOffset, download.bytes.byteLength);
+}
+
+/**
+ * Download the track and decode it to PCM
+ */
+export async function loadAudio(url) {
+    return readAudio(await downloadAudio(url));
+}
+
+/**
+ * Decode audio bytes (downloaded or uploaded) to PCM.
+ * Возвращает исходные каналы и моно-сигнал на частоте анализа.
+ */
+export async function readAudio(bytes) {
+    if (bytes.length > MAX_AUDIO_BYTES) {
+        throw new AudioSourceError('Audio file is too large', 'AUDIO_TOO_LARGE');
+    }
+
+    let decoded;
+    try {
+        decoded = await decodeAudio(bytes, { sampleRate: DECODE_SAMPLE_RATE, channels: 2, maxDuration: MAX_AUDIO_DURATION });
+    } catch (error) {
+        if (error instanceof AudioDecodeError) {
+            throw new AudioSourceError(error.message, error.code);
+        }
+        throw error;
+    }
+
+    const { channelData, sampleRate } = decoded;
+
+    if (decoded.duration < MIN_AUDIO_DURATION) {
+        throw new AudioSourceError(
+            `Only ${decoded.duration.toFixed(1)} s of audio could be decoded, at least ${MIN_AUDIO_DURATION} s are needed`,
+            'AUDIO_TOO_SHORT'
+        );
+    }
+
+    return {
+        format: decoded.format,
+        sourceSampleRate: decoded.sourceSampleRate,
+        sourceChannels: decoded.sourceChannels,
+        channelData,
+        sampleRate,
+        duration: decoded.duration,
+        signal: resample(toMono(channelData), sampleRate, ANALYSIS_SAMPLE_RATE),
+        signalRate: ANALYSIS_SAMPLE_RATE,
+        byteLength: bytes.length
+    };
+}
@@ -0,0 +1,142 @@
+/**
+ * Flux Beat Tracking
+ * Dynamic-programming beat tracker (Ellis, 2007) + downbeat phase estimation
+ */
+
+// Штраф за отклонение интервала между ударами от периода
+const TIGHTNESS = 100;
+export const BEATS_PER_BAR = 4;
+
+/**
+ * Track beat frames through an onset envelope with a known beat period (in frames)
+ */
+export function trackBeats(envelope, period, accentEnvelope = null) {
+    const length = envelope.length;
+    const localScore = smoothEnvelope(envelope, period, accentEnvelope);
+    const cumulative = new Float64Array(length);
+    const backlink = new Int32Array(length).fill(-1);
+
+    const minStep = Math.max(1, Math.round(period / 2));
+    const maxStep = Math.round(period * 2);
+
+    for (let t = 0; t < length; t++) {
+        let best = 0;
+        let bestPrevious = -1;
+
+        for (let previous = t - maxStep; previous <= t - minStep; previous++) {
+            if (previous < 0) continue;
+
+            const deviation = Math.log((t - previous) / period);
+            const score = cumulative[previous] - TIGHTNESS * deviation * deviation;
+
+            if (bestPrevious === -1 || score > best) {
+                best = score;
+                bestPrevious = previous;
+            }
+        }
+
+        cumulative[t] = localScore[t] + (bestPrevious === -1 ? 0 : best);
+        backlink[t] = bestPrevious;
+    }
+
+    // Последний удар: самый сильный локальный максимум в конце трека
+    const tail = Math.max(0, length - Math.round(period * 2));
+    let last = tail;
+    for (let t = tail; t < length; t++) {
+        if (cumulative[t] > cumulative[last]) {
+            last = t;
+        }
+    }
+
+    const beats = [];
+    for (let t = last; t >= 0; t = backlink[t]) {
+        beats.unshift(t);
+    }
+
+    // Отбрасываем ведущие удары в тишине до первой атаки
+    const threshold = 0.1 * beats.reduce((max, beat) => Math.max(max, localScore[beat]), -Infinity);
+    while (beats.length > 1 && localScore[beats[0]] < threshold) {
+        beats.shift();
+    }
+
+    return beats;
+}
+
+/**
+ * Pick which beat of the bar is the downbeat from bass-band accents
+ */
+export function downbeatPhase(beats, bassEnvelope, envelope) {
+    const scores = new Float64Array(BEATS_PER_BAR);
+    const counts = new Float64Array(BEATS_PER_BAR);
+
+    beats.forEach((frame, index) => {
+        const phase = index % BEATS_PER_BAR;
+        scores[phase] += 2 * peakNear(bassEnvelope, frame) + peakNear(envelope, frame);
+        counts[phase]++;
+    });
+
+    let best = 0;
+    for (let phase = 1; phase < BEATS_PER_BAR; phase++) {
+        if (scores[phase] / (counts[phase] || 1) > scores[best] / (counts[best] || 1)) {
+            best = phase;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Beat grid with downbeats for the analysis response (beats as tracked frames)
+ */
+export function buildBeatGrid({ envelope, bassEnvelope, frameRate, timeOffset }, beats) {
+    const phase = downbeatPhase(beats, bassEnvelope, envelope);
+    const toSeconds = frame => Number((frame / frameRate + timeOffset).toFixed(3));
+
+    const beatTimes = beats.map(toSeconds);
+    const downbeats = beatTimes.filter((_, index) => index % BEATS_PER_BAR === phase);
+
+    return {
+        firstBeat: beatTimes[0] ?? null,
+        firstDownbeat: downbeats[0] ?? null,
+        beatsPerBar: BEATS_PER_BAR,
+        beatCount: beatTimes.length,
+        barCount: downbeats.length,
+        beats: beatTimes,
+        downbeats
+    };
+}
+
+/**
+ * Гауссово сглаживание огибающей (с акцентом баса) шириной около 1/32 периода
+ */
+function smoothEnvelope(envelope, period, accentEnvelope) {
+    const sigma = Math.max(1, period / 32);
+    const radius = Math.ceil(3 * sigma);
+    const kernel = [];
+
+    for (let i = -radius; i <= radius; i++) {
+        kernel.push(Math.exp(-0.5 * (i / sigma) ** 2));
+    }
+
+    const smoothed = new Float64Array(envelope.length);
+    for (let t = 0; t < envelope.length; t++) {
+        let sum = 0;
+        for (let i = -radius; i <= radius; i++) {
+            const value = (envelope[t + i] || 0) + (accentEnvelope?.[t + i] || 0);
+            sum += value * kernel[i + radius];
+        }
+        smoothed[t] = sum;
+    }
+
+    return smoothed;
+}
+
+function peakNear(envelope, frame, radius = 2) {
+    let peak = 0;
+    for (let i = frame - radius; i <= frame + radius; i++) {
+        if (envelope[i] > peak) {
+            peak = envelope[i];
+        }
+    }
+    return peak;
+}
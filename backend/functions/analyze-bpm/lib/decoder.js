@@ -0,0 +1,186 @@
+/**
+ * Flux Audio Decoder
+ * Определение контейнера по сигнатуре и декодирование в PCM на фиксированной частоте
+ */
+
+import decode from 'audio-decode';
+import FluxErrors from 'flux-shared/errors.js';
+import { resample, toMono } from './dsp.js';
+
+// Частота, к которой приводится любой входной файл
+export const DECODE_SAMPLE_RATE = 44100;
+
+export const SUPPORTED_FORMATS = ['mp3', 'wav', 'flac', 'm4a'];
+
+// Сколько байт в начале файла просматриваем в поисках MPEG-кадра
+const MP3_SYNC_SCAN_BYTES = 4096;
+
+// Файл подаётся декодеру частями, чтобы длительность проверялась до того,
+// как весь PCM окажется в памяти (25 МБ MP3 на 32 кбит/с — почти 2 ч звука)
+const DECODE_CHUNK_BYTES = 1024 * 1024;
+
+export class AudioDecodeError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AudioDecodeError';
+        this.code = code;
+        this.statusCode = FluxErrors.statusFor(code);
+    }
+}
+
+/**
+ * Detect the container from magic bytes.
+ * Returns a supported format, another recognised format name, or null.
+ */
+export function detectFormat(bytes) {
+    const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+    if (bytes.length < 12) return null;
+
+    if ((ascii(0, 4) === 'RIFF' || ascii(0, 4) === 'RF64') && ascii(8, 4) === 'WAVE') return 'wav';
+    if (ascii(4, 4) === 'ftyp') return 'm4a';
+    if (ascii(0, 4) === 'OggS') return 'ogg';
+    if (ascii(0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(8, 4))) return 'aiff';
+    if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) return 'webm';
+
+    // ID3v2 может стоять перед MP3 и (реже) перед FLAC
+    let offset = 0;
+    if (ascii(0, 3) === 'ID3') {
+        const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+        const hasFooter = (bytes[5] & 0x10) !== 0;
+        offset = 10 + size + (hasFooter ? 10 : 0);
+    }
+
+    if (ascii(offset, 4) === 'fLaC') return 'flac';
+    if (findMpegFrame(bytes, offset) !== -1) return 'mp3';
+
+    if (/^\s*<(!doctype|html|\?xml)/i.test(ascii(0, 32))) return 'html';
+
+    return null;
+}
+
+/**
+ * MPEG audio frame sync: 11 set bits, a valid layer, bitrate and sample rate.
+ * ADTS AAC shares the sync word but has layer bits 00, so it is skipped.
+ */
+function findMpegFrame(bytes, start) {
+    const end = Math.min(bytes.length - 4, start + MP3_SYNC_SCAN_BYTES);
+
+    for (let i = start; i < end; i++) {
+        if (bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) continue;
+
+        const version = (bytes[i + 1] >> 3) & 0x03;
+        const layer = (bytes[i + 1] >> 1) & 0x03;
+        const bitrate = bytes[i + 2] >> 4;
+        const sampleRate = (bytes[i + 2] >> 2) & 0x03;
+
+        if (version !== 1 && layer !== 0 && bitrate !== 0 && bitrate !== 0x0F && sampleRate !== 0x03) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Decode an MP3, WAV, FLAC or M4A file to PCM at a fixed sample rate.
+ * channels: 1 downmixes to mono, 2 keeps up to two channels (mono sources stay mono).
+ * Decoding stops with AUDIO_TOO_LONG once more than maxDuration seconds have come out.
+ */
+export async function decodeAudio(bytes, { sampleRate = DECODE_SAMPLE_RATE, channels = 2, maxDuration = Infinity } = {}) {
+    if (!bytes?.length) {
+        throw new AudioDecodeError('Audio file is empty', 'EMPTY_AUDIO');
+    }
+
+    const format = detectFormat(bytes);
+
+    if (!SUPPORTED_FORMATS.includes(format)) {
+        const supported = SUPPORTED_FORMATS.map(name => name.toUpperCase()).join(', ');
+        const detected = format === 'html'
+            ? 'The URL returned an HTML page, not an audio file'
+            : format
+                ? `${format.toUpperCase()} audio is not supported`
+                : 'Unrecognised audio format';
+
+        throw new AudioDecodeError(`${detected}. Supported formats: ${supported}`, 'UNSUPPORTED_FORMAT');
+    }
+
+    const chunks = [];
+    let frames = 0;
+    let frameRate = 0;
+    let decoder;
+    try {
+        decoder = await decode[format]();
+
+        // Последний проход без данных — flush остатка декодера
+        for (let offset = 0; offset <= bytes.length; offset += DECODE_CHUNK_BYTES) {
+            const chunk = offset < bytes.length
+                ? await decoder(bytes.subarray(offset, offset + DECODE_CHUNK_BYTES))
+                : await decoder();
+
+            chunks.push(chunk);
+            frames += chunk.channelData[0]?.length || 0;
+            frameRate = chunk.sampleRate || frameRate;
+
+            if (frameRate && frames / frameRate > maxDuration) break;
+        }
+    } catch (error) {
+        throw new AudioDecodeError(`Corrupt ${format.toUpperCase()} file: ${error.message}`, 'DECODE_FAILED');
+    } finally {
+        // WASM-память декодера не освобождается сборщиком мусора и копится в тёплом инстансе
+        decoder?.free();
+    }
+
+    if (frameRate && frames / frameRate > maxDuration) {
+        throw new AudioDecodeError(
+            `Audio is longer than ${Math.round(maxDuration / 60)} min (over ${Math.floor(frames / frameRate)} s decoded)`,
+            'AUDIO_TOO_LONG'
+        );
+    }
+
+    const decoded = mergeChunks(chunks);
+
+    if (!decoded.channelData.length || !decoded.channelData[0].length || !decoded.sampleRate) {
+        throw new AudioDecodeError(`Corrupt ${format.toUpperCase()} file: no audio frames could be decoded`, 'DECODE_FAILED');
+    }
+
+    // Многоканальные файлы сводим к первым двум каналам (L/R)
+    const source = decoded.channelData;
+    const mixed = channels === 1 ? [toMono(source)] : source.slice(0, 2);
+
+    return {
+        format,
+        sampleRate,
+        channelData: mixed.map(channel => resample(channel, decoded.sampleRate, sampleRate)),
+        duration: source[0].length / decoded.sampleRate,
+        sourceSampleRate: decoded.sampleRate,
+        sourceChannels: source.length
+    };
+}
+
+/**
+ * Склейка результатов потокового декодера (части файла + остаток после flush)
+ */
+function mergeChunks(chunks) {
+    const filled = chunks.filter(chunk => chunk.channelData.length && chunk.channelData[0].length);
+    if (filled.length <= 1) {
+        return filled[0] || { channelData: [], sampleRate: 0 };
+    }
+
+    const channelCount = Math.min(...filled.map(chunk => chunk.channelData.length));
+    const channelData = [];
+
+    for (let channel = 0; channel < channelCount; channel++) {
+        const length = filled.reduce((sum, chunk) => sum + chunk.channelData[channel].length, 0);
+        const merged = new Float32Array(length);
+        let offset = 0;
+
+        for (const chunk of filled) {
+            merged.set(chunk.channelData[channel], offset);
+            offset += chunk.channelData[channel].length;
+        }
+        channelData.push(merged);
+    }
+
+    return { channelData, sampleRate: filled[0].sampleRate };
+}
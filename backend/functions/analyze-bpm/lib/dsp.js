@@ -0,0 +1,220 @@
+/**
+ * Flux DSP helpers
+ * Базовые примитивы обработки сигнала для анализатора
+ */
+
+// Частота, на которой работают все извлекатели признаков
+export const ANALYSIS_SAMPLE_RATE = 22050;
+
+const windowCache = new Map();
+
+/**
+ * Окно Ханна заданного размера (кэшируется)
+ */
+export function hannWindow(size) {
+    if (!windowCache.has(size)) {
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+        }
+        windowCache.set(size, window);
+    }
+    return windowCache.get(size);
+}
+
+/**
+ * In-place radix-2 FFT, size must be a power of two
+ */
+export function fft(re, im) {
+    const n = re.length;
+
+    // Бит-реверсная перестановка
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = (-2 * Math.PI) / len;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+
+        for (let i = 0; i < n; i += len) {
+            let curRe = 1;
+            let curIm = 0;
+
+            for (let k = 0; k < len / 2; k++) {
+                const a = i + k;
+                const b = a + len / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * Walk the signal frame by frame and hand each magnitude spectrum to the callback.
+ * Спектр не сохраняется целиком, чтобы укладываться в память функции.
+ */
+export function forEachSpectrum(signal, { frameSize = 2048, hopSize = 512 } = {}, callback) {
+    const window = hannWindow(frameSize);
+    const re = new Float64Array(frameSize);
+    const im = new Float64Array(frameSize);
+    const magnitudes = new Float32Array(frameSize / 2 + 1);
+    const frameCount = Math.max(1, Math.floor((signal.length - frameSize) / hopSize) + 1);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const offset = frame * hopSize;
+
+        for (let i = 0; i < frameSize; i++) {
+            re[i] = (signal[offset + i] || 0) * window[i];
+            im[i] = 0;
+        }
+
+        fft(re, im);
+
+        for (let k = 0; k < magnitudes.length; k++) {
+            magnitudes[k] = Math.hypot(re[k], im[k]);
+        }
+
+        callback(magnitudes, frame);
+    }
+
+    return frameCount;
+}
+
+/**
+ * Сведение каналов в моно
+ */
+export function toMono(channelData) {
+    if (channelData.length === 1) {
+        return channelData[0];
+    }
+
+    const length = channelData[0].length;
+    const mono = new Float32Array(length);
+
+    for (const channel of channelData) {
+        for (let i = 0; i < length; i++) {
+            mono[i] += channel[i] / channelData.length;
+        }
+    }
+
+    return mono;
+}
+
+/**
+ * Band-limited resampling (polyphase windowed sinc)
+ */
+export function resample(signal, fromRate, toRate) {
+    if (fromRate === toRate) {
+        return signal;
+    }
+
+    const ratio = fromRate / toRate;
+    const outLength = Math.floor(signal.length / ratio);
+    const output = new Float32Array(outLength);
+
+    // При понижении частоты срез фильтра сдвигается к новой частоте Найквиста
+    const cutoff = Math.min(1, 1 / ratio) * 0.95;
+    const halfTaps = Math.ceil(8 * Math.max(1, ratio));
+    const taps = 2 * halfTaps;
+    const phases = 256;
+
+    // Таблица ядра для дискретного набора дробных сдвигов
+    const kernel = new Float32Array((phases + 1) * taps);
+    for (let phase = 0; phase <= phases; phase++) {
+        let sum = 0;
+        for (let tap = 0; tap < taps; tap++) {
+            const x = tap - halfTaps + 1 - phase / phases;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+            const blackman = 0.42 + 0.5 * Math.cos((Math.PI * x) / halfTaps) +
+                0.08 * Math.cos((2 * Math.PI * x) / halfTaps);
+            kernel[phase * taps + tap] = sinc * blackman;
+            sum += sinc * blackman;
+        }
+        for (let tap = 0; tap < taps; tap++) {
+            kernel[phase * taps + tap] /= sum;
+        }
+    }
+
+    for (let i = 0; i < outLength; i++) {
+        const center = i * ratio;
+        const base = Math.floor(center);
+        const offset = Math.round((center - base) * phases) * taps;
+        const first = base - halfTaps + 1;
+
+        let sum = 0;
+        for (let tap = 0; tap < taps; tap++) {
+            const sample = signal[first + tap];
+            if (sample !== undefined) {
+                sum += sample * kernel[offset + tap];
+            }
+        }
+        output[i] = sum;
+    }
+
+    return output;
+}
+
+export function clamp(value, min = 0, max = 1) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Низкочастотный биквад (Баттерворт, RBJ cookbook)
+ */
+export function lowPass(signal, sampleRate, cutoff) {
+    const w = (2 * Math.PI * cutoff) / sampleRate;
+    const alpha = Math.sin(w) / Math.SQRT2;
+    const a0 = 1 + alpha;
+    const b = (1 - Math.cos(w)) / 2 / a0;
+
+    return biquad(signal, [b, 2 * b, b], [(-2 * Math.cos(w)) / a0, (1 - alpha) / a0]);
+}
+
+/**
+ * Высокочастотный биквад (Баттерворт, RBJ cookbook)
+ */
+export function highPass(signal, sampleRate, cutoff) {
+    const w = (2 * Math.PI * cutoff) / sampleRate;
+    const alpha = Math.sin(w) / Math.SQRT2;
+    const a0 = 1 + alpha;
+    const b = (1 + Math.cos(w)) / 2 / a0;
+
+    return biquad(signal, [b, -2 * b, b], [(-2 * Math.cos(w)) / a0, (1 - alpha) / a0]);
+}
+
+function biquad(signal, [b0, b1, b2], [a1, a2]) {
+    const output = new Float32Array(signal.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+    for (let i = 0; i < signal.length; i++) {
+        const y = b0 * signal[i] + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = signal[i];
+        y2 = y1;
+        y1 = y;
+        output[i] = y;
+    }
+
+    return output;
+}
@@ -0,0 +1,62 @@
+/**
+ * Flux Energy Curve
+ * Per-bar energy from loudness and onset activity + summary stats
+ */
+
+import { clamp } from './dsp.js';
+
+// Громкость в дБFS, которая соответствует нулевой и полной энергии
+const SILENT_DB = -30;
+const FULL_DB = -8;
+
+// Средняя онсетная огибающая такта, при которой ритм считается плотным
+const BUSY_ONSETS = 0.5;
+
+const EDGE_BARS = 8;
+
+/**
+ * Energy value (0..1) for every bar and where the track peaks
+ */
+export function measureEnergy(bars) {
+    if (!bars.length) {
+        return {
+            curve: { resolution: 'bar', times: [], values: [] },
+            stats: { mean: null, peak: null, peakTime: null, start: null, end: null }
+        };
+    }
+
+    const values = bars.map(bar => {
+        const loudness = clamp((bar.loudness - SILENT_DB) / (FULL_DB - SILENT_DB));
+        const activity = clamp(bar.onsets / BUSY_ONSETS);
+        return 0.7 * loudness + 0.3 * activity;
+    });
+
+    let peakIndex = 0;
+    values.forEach((value, index) => {
+        if (value > values[peakIndex]) {
+            peakIndex = index;
+        }
+    });
+
+    const round = value => Number(value.toFixed(3));
+
+    return {
+        curve: {
+            resolution: 'bar',
+            times: bars.map(bar => Number(bar.start.toFixed(2))),
+            values: values.map(round)
+        },
+        stats: {
+            mean: round(average(values)),
+            peak: round(values[peakIndex]),
+            peakTime: Number(bars[peakIndex].start.toFixed(2)),
+            // Как трек начинается и заканчивается (первые и последние 8 тактов)
+            start: round(average(values.slice(0, EDGE_BARS))),
+            end: round(average(values.slice(-EDGE_BARS)))
+        }
+    };
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
@@ -0,0 +1,167 @@
+/**
+ * Flux Key Detection
+ * Chroma features + key-profile correlation (Temperley / Kostka-Payne)
+ */
+
+import FluxMusicTheory from 'flux-shared/music-theory.js';
+import { forEachSpectrum } from './dsp.js';
+
+const CHROMA_FRAME_SIZE = 4096;
+const CHROMA_HOP_SIZE = 2048;
+const MIN_FREQUENCY = 65;   // C2
+const MAX_FREQUENCY = 2100; // C7
+
+// Строй оценивается по пикам выше ~G3: ниже бин шире четверти тона
+const TUNING_MIN_FREQUENCY = 200;
+// Пики тише самого громкого в кадре на 20 дБ не учитываются
+const TUNING_PEAK_RATIO = 0.1;
+// Ниже этой согласованности пиков (ударные, шум) строй не определяется
+const MIN_TUNING_CONFIDENCE = 0.2;
+
+const MAJOR_PROFILE = [0.748, 0.060, 0.488, 0.082, 0.670, 0.460, 0.096, 0.715, 0.104, 0.366, 0.057, 0.400];
+const MINOR_PROFILE = [0.712, 0.084, 0.474, 0.618, 0.049, 0.460, 0.105, 0.747, 0.404, 0.067, 0.133, 0.330];
+
+/**
+ * Mean pitch-class profile of a mono signal, folded at its estimated tuning
+ */
+export function chromagram(signal, sampleRate, { hopSize = CHROMA_HOP_SIZE } = {}) {
+    const binHz = sampleRate / CHROMA_FRAME_SIZE;
+    const firstBin = Math.ceil(MIN_FREQUENCY / binHz);
+    const lastBin = Math.min(CHROMA_FRAME_SIZE / 2, Math.floor(MAX_FREQUENCY / binHz));
+    const tuningBin = Math.max(firstBin + 1, Math.ceil(TUNING_MIN_FREQUENCY / binHz));
+
+    // Вклад каждого бина копится отдельно: классы высоты назначаются, когда строй уже известен
+    const profile = new Float64Array(lastBin + 1);
+    const tuning = { x: 0, y: 0, weight: 0 };
+
+    forEachSpectrum(signal, { frameSize: CHROMA_FRAME_SIZE, hopSize }, (magnitudes) => {
+        let total = 0;
+        let peak = 0;
+
+        for (let k = firstBin; k <= lastBin; k++) {
+            total += Math.log1p(100 * magnitudes[k]);
+            peak = Math.max(peak, magnitudes[k]);
+        }
+
+        // Каждый кадр вносит одинаковый вклад вне зависимости от громкости
+        if (total > 0) {
+            for (let k = firstBin; k <= lastBin; k++) {
+                profile[k] += Math.log1p(100 * magnitudes[k]) / total;
+            }
+        }
+
+        // Отклонение спектральных пиков от равномерной сетки A4 = 440 Гц, как угол на окружности полутона
+        for (let k = tuningBin; k < lastBin; k++) {
+            const magnitude = magnitudes[k];
+            if (magnitude < peak * TUNING_PEAK_RATIO || magnitude <= magnitudes[k - 1] || magnitude < magnitudes[k + 1]) continue;
+
+            const frequency = (k + interpolatePeak(magnitudes[k - 1], magnitude, magnitudes[k + 1])) * binHz;
+            const midi = 69 + 12 * Math.log2(frequency / 440);
+            const angle = 2 * Math.PI * (midi - Math.round(midi));
+
+            tuning.x += magnitude * Math.cos(angle);
+            tuning.y += magnitude * Math.sin(angle);
+            tuning.weight += magnitude;
+        }
+    });
+
+    const confidence = tuning.weight > 0 ? Math.hypot(tuning.x, tuning.y) / tuning.weight : 0;
+    const cents = confidence >= MIN_TUNING_CONFIDENCE ? Math.round((Math.atan2(tuning.y, tuning.x) / (2 * Math.PI)) * 100) : 0;
+
+    const chroma = new Float64Array(12);
+    for (let k = firstBin; k <= lastBin; k++) {
+        const midi = 69 + 12 * Math.log2((k * binHz) / 440) - cents / 100;
+        chroma[((Math.round(midi) % 12) + 12) % 12] += profile[k];
+    }
+
+    return {
+        chroma,
+        tuning: confidence >= MIN_TUNING_CONFIDENCE
+            ? { cents, referenceHz: Number((440 * 2 ** (cents / 1200)).toFixed(1)), confidence: Number(confidence.toFixed(2)) }
+            : { cents: null, referenceHz: null, confidence: Number(confidence.toFixed(2)) }
+    };
+}
+
+/**
+ * Rank all 24 keys against a chroma vector
+ */
+export function rankKeys(chroma) {
+    const candidates = [];
+
+    for (let tonic = 0; tonic < 12; tonic++) {
+        candidates.push({
+            entry: FluxMusicTheory.fromPitchClass(tonic, 'major'),
+            score: correlate(chroma, MAJOR_PROFILE, tonic)
+        });
+        candidates.push({
+            entry: FluxMusicTheory.fromPitchClass(tonic, 'minor'),
+            score: correlate(chroma, MINOR_PROFILE, tonic)
+        });
+    }
+
+    return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Detect the musical key of a mono signal
+ */
+export function detectKey(signal, sampleRate, options = {}) {
+    const { chroma, tuning } = chromagram(signal, sampleRate, options);
+    const [best, runnerUp] = rankKeys(chroma);
+
+    return {
+        key: best.entry.key,
+        camelot: best.entry.camelot,
+        openKey: best.entry.openKey,
+        keyType: best.entry.keyType,
+        color: best.entry.color,
+        score: Number(Math.max(0, best.score).toFixed(3)),
+        tuning,
+        runnerUp: {
+            key: runnerUp.entry.key,
+            camelot: runnerUp.entry.camelot,
+            keyType: runnerUp.entry.keyType,
+            score: Number(Math.max(0, runnerUp.score).toFixed(3))
+        }
+    };
+}
+
+/**
+ * Корреляция Пирсона между хромой и профилем, повёрнутым к тонике
+ */
+function correlate(chroma, profile, tonic) {
+    let chromaMean = 0;
+    let profileMean = 0;
+
+    for (let i = 0; i < 12; i++) {
+        chromaMean += chroma[i] / 12;
+        profileMean += profile[i] / 12;
+    }
+
+    let numerator = 0;
+    let chromaVariance = 0;
+    let profileVariance = 0;
+
+    for (let i = 0; i < 12; i++) {
+        const x = chroma[(tonic + i) % 12] - chromaMean;
+        const y = profile[i] - profileMean;
+        numerator += x * y;
+        chromaVariance += x * x;
+        profileVariance += y * y;
+    }
+
+    const denominator = Math.sqrt(chromaVariance * profileVariance);
+    return denominator > 0 ? numerator / denominator : 0;
+}
+
+/**
+ * Смещение вершины пика в бинах по параболе через три соседних бина (в логарифмах)
+ */
+function interpolatePeak(left, center, right) {
+    const a = Math.log(left + 1e-12);
+    const b = Math.log(center + 1e-12);
+    const c = Math.log(right + 1e-12);
+    const denominator = a - 2 * b + c;
+
+    return denominator < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denominator)) : 0;
+}
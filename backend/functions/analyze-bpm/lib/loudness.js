@@ -0,0 +1,210 @@
+/**
+ * Flux Loudness Meter
+ * EBU R128 / ITU-R BS.1770-4: integrated loudness, LRA and true peak
+ */
+
+const SEGMENT_SECONDS = 0.1;
+const MOMENTARY_SEGMENTS = 4;   // 400 мс
+const SHORT_TERM_SEGMENTS = 30; // 3 с
+const ABSOLUTE_GATE = -70;
+const INTEGRATED_RELATIVE_GATE = -10;
+const RANGE_RELATIVE_GATE = -20;
+const TRUE_PEAK_OVERSAMPLING = 4;
+const TRUE_PEAK_TAPS = 16;
+
+/**
+ * Коэффициенты K-фильтра для произвольной частоты дискретизации (как в libebur128)
+ */
+function kWeightingFilters(sampleRate) {
+    let f0 = 1681.974450955533;
+    const gain = 3.999843853973347;
+    let q = 0.7071752369554196;
+
+    let k = Math.tan((Math.PI * f0) / sampleRate);
+    const vh = Math.pow(10, gain / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+
+    const shelf = {
+        b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+        a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+    };
+
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan((Math.PI * f0) / sampleRate);
+    a0 = 1 + k / q + k * k;
+
+    const highPass = {
+        b: [1, -2, 1],
+        a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+    };
+
+    return [shelf, highPass];
+}
+
+/**
+ * Mean square of the K-weighted signal for every 100 ms segment, summed over channels
+ */
+function segmentPowers(channelData, sampleRate) {
+    const segmentLength = Math.round(sampleRate * SEGMENT_SECONDS);
+    const segmentCount = Math.floor(channelData[0].length / segmentLength);
+    const powers = new Float64Array(segmentCount);
+    const filters = kWeightingFilters(sampleRate);
+
+    // Стерео и моно учитываются с весом 1.0 (объёмные каналы не поддерживаем)
+    for (const channel of channelData.slice(0, 2)) {
+        const state = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+
+        for (let segment = 0; segment < segmentCount; segment++) {
+            let sum = 0;
+            const offset = segment * segmentLength;
+
+            for (let i = 0; i < segmentLength; i++) {
+                let sample = channel[offset + i];
+
+                for (let f = 0; f < filters.length; f++) {
+                    const { b, a } = filters[f];
+                    const s = state[f];
+                    const output = b[0] * sample + b[1] * s.x1 + b[2] * s.x2 - a[0] * s.y1 - a[1] * s.y2;
+
+                    s.x2 = s.x1;
+                    s.x1 = sample;
+                    s.y2 = s.y1;
+                    s.y1 = output;
+                    sample = output;
+                }
+
+                sum += sample * sample;
+            }
+
+            powers[segment] += sum / segmentLength;
+        }
+    }
+
+    return powers;
+}
+
+/**
+ * Loudness of sliding windows made of `size` consecutive segments
+ */
+function windowPowers(powers, size) {
+    const result = [];
+    let sum = 0;
+
+    for (let i = 0; i < powers.length; i++) {
+        sum += powers[i];
+        if (i >= size) {
+            sum -= powers[i - size];
+        }
+        if (i >= size - 1) {
+            result.push(sum / size);
+        }
+    }
+
+    return result;
+}
+
+function toLufs(power) {
+    return -0.691 + 10 * Math.log10(power);
+}
+
+function gatedPowers(powers, relativeGate) {
+    const aboveAbsolute = powers.filter(power => toLufs(power) > ABSOLUTE_GATE);
+    if (!aboveAbsolute.length) return [];
+
+    const average = aboveAbsolute.reduce((sum, power) => sum + power, 0) / aboveAbsolute.length;
+    const threshold = toLufs(average) + relativeGate;
+
+    return aboveAbsolute.filter(power => toLufs(power) > threshold);
+}
+
+function percentile(sorted, fraction) {
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))));
+    return sorted[index];
+}
+
+/**
+ * Межсэмпловый пик через 4-кратную передискретизацию
+ */
+function truePeak(channelData) {
+    const half = TRUE_PEAK_TAPS / 2;
+    const kernels = [];
+
+    for (let phase = 1; phase < TRUE_PEAK_OVERSAMPLING; phase++) {
+        const fraction = phase / TRUE_PEAK_OVERSAMPLING;
+        const kernel = new Float64Array(TRUE_PEAK_TAPS);
+
+        for (let tap = 0; tap < TRUE_PEAK_TAPS; tap++) {
+            const x = tap - half + 1 - fraction;
+            const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+            const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / half);
+            kernel[tap] = sinc * window;
+        }
+        kernels.push(kernel);
+    }
+
+    let peak = 0;
+
+    for (const channel of channelData.slice(0, 2)) {
+        for (let i = 0; i < channel.length; i++) {
+            const sample = Math.abs(channel[i]);
+            if (sample > peak) {
+                peak = sample;
+            }
+
+            // Интерполяция нужна только рядом с громкими отсчётами
+            if (sample < peak * 0.5 || i < half || i + half >= channel.length) continue;
+
+            for (const kernel of kernels) {
+                let value = 0;
+                for (let tap = 0; tap < TRUE_PEAK_TAPS; tap++) {
+                    value += channel[i - half + 1 + tap] * kernel[tap];
+                }
+                if (Math.abs(value) > peak) {
+                    peak = Math.abs(value);
+                }
+            }
+        }
+    }
+
+    return peak;
+}
+
+function round(value) {
+    return Number.isFinite(value) ? Number(value.toFixed(1)) : null;
+}
+
+/**
+ * Measure loudness of decoded PCM channels
+ */
+export function measureLoudness(channelData, sampleRate) {
+    const powers = segmentPowers(channelData, sampleRate);
+    const momentary = windowPowers(powers, MOMENTARY_SEGMENTS);
+    const shortTerm = windowPowers(powers, SHORT_TERM_SEGMENTS);
+
+    const integratedBlocks = gatedPowers(momentary, INTEGRATED_RELATIVE_GATE);
+    const integrated = integratedBlocks.length
+        ? toLufs(integratedBlocks.reduce((sum, power) => sum + power, 0) / integratedBlocks.length)
+        : -Infinity;
+
+    const rangeBlocks = gatedPowers(shortTerm, RANGE_RELATIVE_GATE)
+        .map(toLufs)
+        .sort((a, b) => a - b);
+    const range = rangeBlocks.length
+        ? percentile(rangeBlocks, 0.95) - percentile(rangeBlocks, 0.10)
+        : 0;
+
+    // Без spread: на длинном треке блоков десятки тысяч
+    const shortTermMax = shortTerm.length ? toLufs(shortTerm.reduce((max, power) => Math.max(max, power), 0)) : -Infinity;
+    const momentaryMax = momentary.length ? toLufs(momentary.reduce((max, power) => Math.max(max, power), 0)) : -Infinity;
+    const peak = truePeak(channelData);
+
+    return {
+        integratedLufs: round(integrated),
+        shortTermMaxLufs: round(shortTermMax),
+        momentaryMaxLufs: round(momentaryMax),
+        loudnessRangeLu: round(range),
+        truePeakDbtp: round(20 * Math.log10(peak))
+    };
+}
@@ -0,0 +1,291 @@
+/**
+ * Flux Audio Quality
+ * Clipping, DC offset, stereo phase and true bandwidth with a pass/warn/fail verdict
+ */
+
+import { fft, hannWindow } from './dsp.js';
+
+// Сэмпл на уровне 0 дБFS (с запасом на округление декодера) считается клипнутым
+const CLIP_LEVEL = 0.999;
+// Серия из стольких клипнутых сэмплов подряд — срезанная вершина волны, а не случайный пик
+const CLIP_RUN = 3;
+
+// Клипнутых серий в минуту: предупреждение и провал
+const CLIP_RUNS_WARN = 1;
+const CLIP_RUNS_FAIL = 20;
+
+// Постоянная составляющая (доля полной шкалы)
+const DC_WARN = 0.005;
+const DC_FAIL = 0.02;
+
+// Корреляция каналов и потеря уровня при сведении в моно (дБ)
+const CORRELATION_WARN = 0.1;
+const CORRELATION_FAIL = -0.1;
+const MONO_LOSS_WARN = 3;
+const MONO_LOSS_FAIL = 6;
+const CORRELATION_WINDOW = 0.5;
+// Полное гашение в моно упирается в динамический диапазон 16 бит
+const MONO_LOSS_MAX = 96;
+
+// Спектр для оценки полосы: кадры равномерно по треку
+const BANDWIDTH_FRAME_SIZE = 4096;
+const BANDWIDTH_FRAMES = 256;
+// Граница полосы — самая высокая частота, где спектр не ниже опорного уровня (1–8 кГц) на 60 дБ
+const BANDWIDTH_DROP_DB = 60;
+const BANDWIDTH_SMOOTHING = 100;
+
+// Типичный срез lowpass у MP3-кодеров (LAME) по битрейту
+const MP3_CUTOFFS = [
+    { maxHz: 17200, kbps: 128 },
+    { maxHz: 18800, kbps: 192 },
+    { maxHz: 19800, kbps: 256 }
+];
+const BANDWIDTH_WARN = 18800;
+const BANDWIDTH_FAIL = 17200;
+
+const LOSSLESS_FORMATS = ['wav', 'flac'];
+const SEVERITY = { pass: 0, warn: 1, fail: 2 };
+
+/**
+ * Quality report for the decoded channels.
+ * byteLength and format (from the decoder) reveal lossy files passed off as high bitrate.
+ */
+export function assessQuality(channelData, sampleRate, { format = null, byteLength = null, duration = null } = {}) {
+    const clipping = measureClipping(channelData, sampleRate);
+    const dcOffset = measureDcOffset(channelData);
+    const stereo = measureStereo(channelData, sampleRate);
+    const bandwidth = measureBandwidth(channelData, sampleRate, { format, byteLength, duration });
+
+    const report = {};
+    const issues = [];
+
+    for (const [name, { message, ...check }] of Object.entries({ clipping, dcOffset, stereo, bandwidth })) {
+        report[name] = check;
+        if (check.verdict !== 'pass') {
+            issues.push({ check: name, severity: check.verdict, message });
+        }
+    }
+
+    const verdict = issues.reduce(
+        (worst, issue) => SEVERITY[issue.severity] > SEVERITY[worst] ? issue.severity : worst,
+        'pass'
+    );
+
+    return { verdict, issues, ...report };
+}
+
+function measureClipping(channelData, sampleRate) {
+    let peak = 0;
+    let clippedSamples = 0;
+    let clipRuns = 0;
+    let longestRun = 0;
+
+    for (const channel of channelData) {
+        let run = 0;
+
+        for (let i = 0; i <= channel.length; i++) {
+            const level = i < channel.length ? Math.abs(channel[i]) : 0;
+            if (level > peak) peak = level;
+
+            if (level >= CLIP_LEVEL) {
+                run++;
+                clippedSamples++;
+                continue;
+            }
+
+            if (run >= CLIP_RUN) {
+                clipRuns++;
+                longestRun = Math.max(longestRun, run);
+            }
+            run = 0;
+        }
+    }
+
+    const minutes = channelData[0].length / sampleRate / 60;
+    const runsPerMinute = minutes > 0 ? clipRuns / minutes : 0;
+    const verdict = runsPerMinute >= CLIP_RUNS_FAIL ? 'fail' : runsPerMinute >= CLIP_RUNS_WARN ? 'warn' : 'pass';
+
+    return {
+        verdict,
+        message: `${clipRuns} clipped runs (${runsPerMinute.toFixed(1)} per minute, longest ${longestRun} samples)`,
+        peakDbfs: peak > 0 ? Number((20 * Math.log10(peak)).toFixed(2)) : null,
+        clippedSamples,
+        clippedRatio: Number((clippedSamples / (channelData.length * channelData[0].length)).toExponential(2)),
+        clipRuns,
+        longestRun,
+        runsPerMinute: Number(runsPerMinute.toFixed(2))
+    };
+}
+
+function measureDcOffset(channelData) {
+    const offsets = channelData.map(channel => {
+        let sum = 0;
+        for (let i = 0; i < channel.length; i++) {
+            sum += channel[i];
+        }
+        return sum / channel.length;
+    });
+
+    const worst = Math.max(...offsets.map(Math.abs));
+    const verdict = worst >= DC_FAIL ? 'fail' : worst >= DC_WARN ? 'warn' : 'pass';
+
+    return {
+        verdict,
+        message: `DC offset of ${(worst * 100).toFixed(2)}% full scale`,
+        channels: offsets.map(offset => Number(offset.toFixed(5))),
+        maxDbfs: worst > 0 ? Number((20 * Math.log10(worst)).toFixed(1)) : null
+    };
+}
+
+/**
+ * Корреляция L/R по всему треку и доля окон в противофазе
+ */
+function measureStereo(channelData, sampleRate) {
+    if (channelData.length < 2) {
+        return { verdict: 'pass', message: null, channels: 1, correlation: null, negativeShare: null, monoLossDb: null, dualMono: null };
+    }
+
+    const [left, right] = channelData;
+    const windowSize = Math.round(CORRELATION_WINDOW * sampleRate);
+    let sumLR = 0;
+    let sumLL = 0;
+    let sumRR = 0;
+    let identical = true;
+    let windows = 0;
+    let negativeWindows = 0;
+
+    for (let start = 0; start < left.length; start += windowSize) {
+        const end = Math.min(left.length, start + windowSize);
+        let lr = 0;
+        let ll = 0;
+        let rr = 0;
+
+        for (let i = start; i < end; i++) {
+            lr += left[i] * right[i];
+            ll += left[i] * left[i];
+            rr += right[i] * right[i];
+            if (identical && left[i] !== right[i]) identical = false;
+        }
+
+        sumLR += lr;
+        sumLL += ll;
+        sumRR += rr;
+
+        // Тихие окна (тишина, хвосты) не голосуют
+        if ((ll + rr) / (2 * (end - start)) > 1e-6) {
+            windows++;
+            if (lr < 0) negativeWindows++;
+        }
+    }
+
+    const correlation = sumLL > 0 && sumRR > 0 ? sumLR / Math.sqrt(sumLL * sumRR) : 1;
+    // Мощность (L+R)/2 относительно средней мощности каналов
+    const monoPower = (sumLL + sumRR + 2 * sumLR) / 4;
+    const monoLossDb = sumLL + sumRR > 0
+        ? Math.min(MONO_LOSS_MAX, -10 * Math.log10(Math.max(monoPower, 1e-20) / ((sumLL + sumRR) / 2)))
+        : 0;
+
+    const verdict = correlation < CORRELATION_FAIL || monoLossDb >= MONO_LOSS_FAIL
+        ? 'fail'
+        : correlation < CORRELATION_WARN || monoLossDb >= MONO_LOSS_WARN
+            ? 'warn'
+            : 'pass';
+
+    return {
+        verdict,
+        message: `Stereo correlation ${correlation.toFixed(2)}, ${monoLossDb.toFixed(1)} dB lost when summed to mono`,
+        channels: 2,
+        correlation: Number(correlation.toFixed(3)),
+        negativeShare: windows ? Number((negativeWindows / windows).toFixed(3)) : 0,
+        monoLossDb: Number(monoLossDb.toFixed(2)),
+        dualMono: identical
+    };
+}
+
+/**
+ * Настоящая полоса: апсемплированный MP3 128 кбит/с обрезан около 16 кГц, сколько бы ни обещал контейнер
+ */
+function measureBandwidth(channelData, sampleRate, { format, byteLength, duration }) {
+    const size = BANDWIDTH_FRAME_SIZE;
+    const window = hannWindow(size);
+    const bins = size / 2 + 1;
+    const binHz = sampleRate / size;
+    const length = channelData[0].length;
+    const power = new Float64Array(bins);
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+
+    const frames = Math.min(BANDWIDTH_FRAMES, Math.max(1, Math.floor(length / size)));
+    const step = Math.max(size, Math.floor((length - size) / frames));
+
+    for (let offset = 0; offset + size <= length; offset += step) {
+        for (let i = 0; i < size; i++) {
+            let sample = 0;
+            for (const channel of channelData) {
+                sample += channel[offset + i] / channelData.length;
+            }
+            re[i] = sample * window[i];
+            im[i] = 0;
+        }
+
+        fft(re, im);
+
+        for (let k = 0; k < bins; k++) {
+            power[k] += re[k] * re[k] + im[k] * im[k];
+        }
+    }
+
+    // Сглаженный спектр в дБ
+    const radius = Math.max(1, Math.round(BANDWIDTH_SMOOTHING / binHz));
+    const levels = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) {
+        let sum = 0;
+        let count = 0;
+        for (let j = Math.max(0, k - radius); j <= Math.min(bins - 1, k + radius); j++) {
+            sum += power[j];
+            count++;
+        }
+        levels[k] = 10 * Math.log10(sum / count + 1e-20);
+    }
+
+    let reference = 0;
+    let referenceBins = 0;
+    for (let k = Math.ceil(1000 / binHz); k <= Math.min(bins - 1, Math.floor(8000 / binHz)); k++) {
+        reference += power[k];
+        referenceBins++;
+    }
+    const referenceDb = 10 * Math.log10(reference / Math.max(1, referenceBins) + 1e-20);
+
+    let cutoffBin = 0;
+    for (let k = bins - 1; k > 0; k--) {
+        if (levels[k] >= referenceDb - BANDWIDTH_DROP_DB) {
+            cutoffBin = k;
+            break;
+        }
+    }
+
+    const cutoffHz = Math.round(cutoffBin * binHz);
+    const nyquistHz = sampleRate / 2;
+    const estimatedBitrateKbps = MP3_CUTOFFS.find(({ maxHz }) => cutoffHz < maxHz)?.kbps ?? null;
+    const fileBitrateKbps = byteLength && duration ? Math.round((byteLength * 8) / duration / 1000) : null;
+
+    // Контейнер обещает больше, чем есть в спектре: lossless или битрейт заметно выше оценки по полосе
+    const transcoded = estimatedBitrateKbps !== null && (
+        LOSSLESS_FORMATS.includes(format) ||
+        (fileBitrateKbps !== null && fileBitrateKbps > estimatedBitrateKbps * 1.5)
+    );
+
+    const verdict = cutoffHz < BANDWIDTH_FAIL ? 'fail' : cutoffHz < BANDWIDTH_WARN || transcoded ? 'warn' : 'pass';
+
+    return {
+        verdict,
+        message: `Audio band ends at ${(cutoffHz / 1000).toFixed(1)} kHz` +
+            (estimatedBitrateKbps ? `, typical of ${estimatedBitrateKbps} kbps MP3` : '') +
+            (transcoded ? ` although the file is ${LOSSLESS_FORMATS.includes(format) ? format.toUpperCase() : `${fileBitrateKbps} kbps`}` : ''),
+        cutoffHz,
+        nyquistHz,
+        estimatedBitrateKbps,
+        fileBitrateKbps,
+        transcoded
+    };
+}
@@ -0,0 +1,167 @@
+/**
+ * Flux Result Cache
+ * Кэш результатов анализа по SHA-256 содержимого аудиофайла:
+ * файловая система локально (и в /tmp тёплого инстанса), Object Storage в продакшене
+ */
+
+import { createHash, createHmac } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ALGORITHM_VERSION, RESULTS_SCHEMA_VERSION } from './version.js';
+
+const STORAGE_ENDPOINT = 'https://storage.yandexcloud.net';
+const STORAGE_REGION = 'ru-central1';
+const STORAGE_TIMEOUT = 2000;
+
+export function contentHash(bytes) {
+    return createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * Cache key: algorithm version, output variant and content hash.
+ * Смена версии алгоритма даёт новые ключи, поэтому старые результаты не читаются.
+ */
+export function cacheKey(hash, variant) {
+    return `${ALGORITHM_VERSION}/${variant}/${hash}.json`;
+}
+
+/**
+ * Запись кэша для результата анализа
+ */
+export function cacheEntry(analysis) {
+    return {
+        version: ALGORITHM_VERSION,
+        cachedAt: new Date().toISOString(),
+        analysis
+    };
+}
+
+/**
+ * Результат из записи кэша или null, если запись другой версии алгоритма или схемы
+ * (тогда анализ пересчитывается)
+ */
+export function currentAnalysis(entry) {
+    const current = entry?.version === ALGORITHM_VERSION && entry.analysis?.schemaVersion === RESULTS_SCHEMA_VERSION;
+    return current ? entry.analysis : null;
+}
+
+class FileCache {
+    constructor(dir) {
+        this.dir = dir;
+        this.kind = 'file';
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await readFile(join(this.dir, key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        const path = join(this.dir, key);
+        const temp = `${path}.${process.pid}.tmp`;
+
+        await mkdir(join(path, '..'), { recursive: true });
+        await writeFile(temp, JSON.stringify(value));
+        await rename(temp, path);
+    }
+}
+
+/**
+ * S3-совместимое хранилище (Yandex Object Storage), запросы подписываются AWS Signature V4
+ */
+class ObjectStorageCache {
+    constructor({ bucket, endpoint, region, accessKeyId, secretAccessKey }) {
+        this.bucket = bucket;
+        this.endpoint = new URL(endpoint);
+        this.region = region;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.kind = 'object-storage';
+    }
+
+    async get(key) {
+        const response = await this.request('GET', key);
+
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Object Storage GET failed: HTTP ${response.status}`);
+
+        return response.json();
+    }
+
+    async set(key, value) {
+        const response = await this.request('PUT', key, JSON.stringify(value));
+
+        if (!response.ok) throw new Error(`Object Storage PUT failed: HTTP ${response.status}`);
+    }
+
+    request(method, key, body = '') {
+        const path = `/${this.bucket}/${key}`;
+        const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const date = amzDate.slice(0, 8);
+        const payloadHash = createHash('sha256').update(body).digest('hex');
+        const host = this.endpoint.host;
+
+        const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+        const canonicalRequest = [
+            method,
+            path,
+            '',
+            `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        const hmac = (keyData, data) => createHmac('sha256', keyData).update(data).digest();
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            hmac,
+            hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region)
+        );
+        const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return fetch(new URL(path, this.endpoint), {
+            method,
+            headers: {
+                'Authorization': `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+                'X-Amz-Content-Sha256': payloadHash,
+                'X-Amz-Date': amzDate,
+                ...(method === 'PUT' && { 'Content-Type': 'application/json' })
+            },
+            body: method === 'PUT' ? body : undefined,
+            signal: AbortSignal.timeout(STORAGE_TIMEOUT)
+        });
+    }
+}
+
+/**
+ * Выбор хранилища по окружению:
+ * ANALYSIS_CACHE_BUCKET — Object Storage, иначе каталог ANALYSIS_CACHE_DIR (по умолчанию во временной папке).
+ * ANALYSIS_CACHE=off отключает кэш.
+ */
+export function createResultCache(env = process.env) {
+    if (env.ANALYSIS_CACHE === 'off') return null;
+
+    if (env.ANALYSIS_CACHE_BUCKET) {
+        return new ObjectStorageCache({
+            bucket: env.ANALYSIS_CACHE_BUCKET,
+            endpoint: env.ANALYSIS_CACHE_ENDPOINT || STORAGE_ENDPOINT,
+            region: env.ANALYSIS_CACHE_REGION || STORAGE_REGION,
+            accessKeyId: env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: env.AWS_SECRET_ACCESS_KEY
+        });
+    }
+
+    return new FileCache(env.ANALYSIS_CACHE_DIR || join(tmpdir(), 'flux-analysis-cache'));
+}
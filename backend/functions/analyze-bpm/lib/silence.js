@@ -0,0 +1,102 @@
+/**
+ * Flux Silence Detection
+ * Leading/trailing silence, first audible sample and first-beat offset for auto-cue
+ */
+
+// Тише -60 дБFS считается тишиной (дизеринг 16 бит лежит около -90 дБFS)
+const SILENCE_DB = -60;
+
+// Окно RMS: одиночный щелчок в тишине не считается началом звука
+const WINDOW = 0.01;
+
+// Насколько раньше первого слышимого сэмпла трекер может поставить долю (атака размазана по кадру онсетов), с
+const BEAT_TOLERANCE = 0.05;
+
+/**
+ * Where audible content starts and ends in the source channels (original sample rate)
+ */
+export function detectSilence(channelData, sampleRate) {
+    const threshold = 10 ** (SILENCE_DB / 20);
+    const windowSize = Math.max(1, Math.round(WINDOW * sampleRate));
+    const length = channelData[0]?.length ?? 0;
+    const duration = length / sampleRate;
+
+    const isLoud = (start) => {
+        const end = Math.min(length, start + windowSize);
+        return channelData.some(channel => {
+            let power = 0;
+            for (let i = start; i < end; i++) {
+                power += channel[i] * channel[i];
+            }
+            return Math.sqrt(power / (end - start)) >= threshold;
+        });
+    };
+    const isAudible = i => channelData.some(channel => Math.abs(channel[i]) >= threshold);
+
+    let firstWindow = -1;
+    for (let start = 0; start < length; start += windowSize) {
+        if (isLoud(start)) {
+            firstWindow = start;
+            break;
+        }
+    }
+
+    if (firstWindow === -1) {
+        return {
+            thresholdDb: SILENCE_DB,
+            silent: true,
+            leadingSilence: Number(duration.toFixed(3)),
+            trailingSilence: 0,
+            firstAudibleTime: null,
+            lastAudibleTime: null,
+            playableDuration: 0
+        };
+    }
+
+    let lastWindow = firstWindow;
+    for (let start = Math.floor((length - 1) / windowSize) * windowSize; start > firstWindow; start -= windowSize) {
+        if (isLoud(start)) {
+            lastWindow = start;
+            break;
+        }
+    }
+
+    // Внутри громкого окна — точный первый и последний сэмпл выше порога
+    let firstSample = firstWindow;
+    while (firstSample < Math.min(length, firstWindow + windowSize) - 1 && !isAudible(firstSample)) {
+        firstSample++;
+    }
+
+    let lastSample = Math.min(length, lastWindow + windowSize) - 1;
+    while (lastSample > lastWindow && !isAudible(lastSample)) {
+        lastSample--;
+    }
+
+    const firstAudibleTime = firstSample / sampleRate;
+    const lastAudibleTime = (lastSample + 1) / sampleRate;
+
+    return {
+        thresholdDb: SILENCE_DB,
+        silent: false,
+        leadingSilence: Number(firstAudibleTime.toFixed(3)),
+        trailingSilence: Number((duration - lastAudibleTime).toFixed(3)),
+        firstAudibleTime: Number(firstAudibleTime.toFixed(3)),
+        lastAudibleTime: Number(lastAudibleTime.toFixed(3)),
+        playableDuration: Number((lastAudibleTime - firstAudibleTime).toFixed(3))
+    };
+}
+
+/**
+ * First tracked beat at or after the first audible sample
+ * (seconds, null without beats or audible content)
+ */
+export function firstBeatOffset({ frameRate, timeOffset }, beats, silence) {
+    if (silence.firstAudibleTime === null) return null;
+
+    const start = silence.firstAudibleTime - BEAT_TOLERANCE;
+    const beat = beats
+        .map(frame => frame / frameRate + timeOffset)
+        .find(time => time >= start);
+
+    return beat === undefined ? null : Number(Math.max(0, beat).toFixed(3));
+}
@@ -0,0 +1,195 @@
+/**
+ * Flux Spectral Descriptors
+ * Centroid, rolloff, flatness, band energy ratios and MFCC summary (options.detailed)
+ */
+
+import { forEachSpectrum } from './dsp.js';
+
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 1024;
+
+// Границы полос те же, что у трёхполосной волны
+const BASS_MAX = 250;
+const HIGH_MIN = 4000;
+
+// Доля энергии спектра ниже частоты спада
+const ROLLOFF_SHARE = 0.85;
+
+const MEL_FILTERS = 40;
+const MFCC_COEFFICIENTS = 13;
+const MEL_MIN_FREQUENCY = 20;
+
+// Кадры тише -60 дБFS (тишина, хвосты) не искажают средние значения
+const SILENCE_RMS = 0.001;
+
+const EPSILON = 1e-10;
+
+/**
+ * Spectral summary of a mono signal
+ */
+export function measureSpectrum(signal, sampleRate, { hopSize = HOP_SIZE } = {}) {
+    const binCount = FRAME_SIZE / 2 + 1;
+    const binHz = sampleRate / FRAME_SIZE;
+    const bassBin = Math.floor(BASS_MAX / binHz);
+    const highBin = Math.ceil(HIGH_MIN / binHz);
+    const filters = melFilterbank(binCount, sampleRate);
+    const dct = dctMatrix(MFCC_COEFFICIENTS, MEL_FILTERS);
+
+    // По Парсевалю: суммарная мощность половины спектра кадра с RMS = SILENCE_RMS под окном Ханна
+    const silentPower = (3 / 16) * (FRAME_SIZE * SILENCE_RMS) ** 2;
+
+    const centroid = new RunningStats();
+    const rolloff = new RunningStats();
+    const flatness = new RunningStats();
+    const mfcc = Array.from({ length: MFCC_COEFFICIENTS }, () => new RunningStats());
+    const bands = { bass: 0, mid: 0, high: 0 };
+
+    const power = new Float64Array(binCount);
+    const melEnergies = new Float64Array(MEL_FILTERS);
+
+    forEachSpectrum(signal, { frameSize: FRAME_SIZE, hopSize }, (magnitudes) => {
+        let total = 0;
+        let weighted = 0;
+        let logSum = 0;
+
+        for (let k = 0; k < binCount; k++) {
+            power[k] = magnitudes[k] * magnitudes[k];
+            total += power[k];
+        }
+
+        if (total < silentPower) {
+            return;
+        }
+
+        for (let k = 0; k < binCount; k++) {
+            weighted += k * binHz * power[k];
+            logSum += Math.log(power[k] + EPSILON);
+
+            if (k <= bassBin) bands.bass += power[k];
+            else if (k < highBin) bands.mid += power[k];
+            else bands.high += power[k];
+        }
+
+        centroid.add(weighted / total);
+        flatness.add(Math.exp(logSum / binCount) / (total / binCount + EPSILON));
+
+        let cumulative = 0;
+        let rolloffBin = binCount - 1;
+        for (let k = 0; k < binCount; k++) {
+            cumulative += power[k];
+            if (cumulative >= ROLLOFF_SHARE * total) {
+                rolloffBin = k;
+                break;
+            }
+        }
+        rolloff.add(rolloffBin * binHz);
+
+        // Логарифм энергии в мел-полосах, затем DCT-II
+        for (let m = 0; m < MEL_FILTERS; m++) {
+            let energy = 0;
+            for (const [bin, weight] of filters[m]) {
+                energy += power[bin] * weight;
+            }
+            melEnergies[m] = Math.log(energy + EPSILON);
+        }
+
+        for (let c = 0; c < MFCC_COEFFICIENTS; c++) {
+            let sum = 0;
+            for (let m = 0; m < MEL_FILTERS; m++) {
+                sum += dct[c][m] * melEnergies[m];
+            }
+            mfcc[c].add(sum);
+        }
+    });
+
+    const bandTotal = bands.bass + bands.mid + bands.high;
+    const ratio = value => (bandTotal > 0 ? Number((value / bandTotal).toFixed(3)) : null);
+
+    return {
+        frameSize: FRAME_SIZE,
+        hopSize,
+        frames: centroid.count,
+        centroid: centroid.summary(0),
+        rolloff: { ...rolloff.summary(0), share: ROLLOFF_SHARE },
+        flatness: flatness.summary(4),
+        bandEnergy: {
+            bass: ratio(bands.bass),
+            mid: ratio(bands.mid),
+            high: ratio(bands.high),
+            bassMaxHz: BASS_MAX,
+            highMinHz: HIGH_MIN
+        },
+        mfcc: {
+            coefficients: MFCC_COEFFICIENTS,
+            melFilters: MEL_FILTERS,
+            mean: mfcc.map(stats => stats.summary(2).mean),
+            std: mfcc.map(stats => stats.summary(2).std)
+        }
+    };
+}
+
+/**
+ * Треугольные мел-фильтры: для каждого фильтра список [бин, вес]
+ */
+function melFilterbank(binCount, sampleRate) {
+    const toMel = hz => 2595 * Math.log10(1 + hz / 700);
+    const toHz = mel => 700 * (10 ** (mel / 2595) - 1);
+
+    const minMel = toMel(MEL_MIN_FREQUENCY);
+    const maxMel = toMel(sampleRate / 2);
+    const binHz = sampleRate / ((binCount - 1) * 2);
+    const edges = Array.from(
+        { length: MEL_FILTERS + 2 },
+        (_, i) => toHz(minMel + ((maxMel - minMel) * i) / (MEL_FILTERS + 1)) / binHz
+    );
+
+    return Array.from({ length: MEL_FILTERS }, (_, m) => {
+        const [left, center, right] = edges.slice(m, m + 3);
+        const weights = [];
+
+        for (let k = Math.ceil(left); k <= Math.floor(right) && k < binCount; k++) {
+            const weight = k <= center ? (k - left) / (center - left) : (right - k) / (right - center);
+            if (weight > 0) {
+                weights.push([k, weight]);
+            }
+        }
+
+        return weights;
+    });
+}
+
+function dctMatrix(rows, columns) {
+    return Array.from({ length: rows }, (_, c) => Array.from(
+        { length: columns },
+        (_, m) => Math.cos((Math.PI * c * (m + 0.5)) / columns) * Math.sqrt((c === 0 ? 1 : 2) / columns)
+    ));
+}
+
+/**
+ * Среднее и стандартное отклонение без хранения всех кадров (метод Уэлфорда)
+ */
+class RunningStats {
+    constructor() {
+        this.count = 0;
+        this.mean = 0;
+        this.m2 = 0;
+    }
+
+    add(value) {
+        this.count++;
+        const delta = value - this.mean;
+        this.mean += delta / this.count;
+        this.m2 += delta * (value - this.mean);
+    }
+
+    summary(digits) {
+        if (!this.count) {
+            return { mean: null, std: null };
+        }
+
+        return {
+            mean: Number(this.mean.toFixed(digits)),
+            std: Number(Math.sqrt(this.m2 / this.count).toFixed(digits))
+        };
+    }
+}
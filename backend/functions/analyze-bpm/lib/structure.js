@@ -0,0 +1,213 @@
+/**
+ * Flux Track Structure
+ * Bar-level features, phrase segmentation and mix cue points
+ */
+
+import { downbeatPhase, BEATS_PER_BAR } from './beats.js';
+import { lowPass } from './dsp.js';
+
+// Новизну считаем между соседними 4-тактовыми блоками
+const GRID_BARS = 4;
+const MIN_SECTION_BARS = 8;
+const NOVELTY_THRESHOLD = 0.8;
+const DROP_LEVEL = 0.7;
+const MIX_OUT_BARS = 16;
+const BASS_CUTOFF = 150;
+
+// Меньше двух минимальных секций не с чем сравнивать: трек остаётся одной секцией без роли
+const UNSEGMENTED_LABEL = 'track';
+
+// Минимальный разброс признаков (дБ, дБ, онсеты), чтобы ровный трек не дробился на шум
+const FEATURE_SCALE_FLOOR = [1.5, 1.5, 0.05];
+
+/**
+ * Per-bar loudness, bass level and onset activity on the downbeat grid
+ */
+export function barFeatures(signal, signalRate, { envelope, bassEnvelope, frameRate, timeOffset }, beats) {
+    const bassSignal = lowPass(signal, signalRate, BASS_CUTOFF);
+    const phase = downbeatPhase(beats, bassEnvelope, envelope);
+    const downbeats = beats.filter((_, index) => index % BEATS_PER_BAR === phase);
+    const barFrames = downbeats.length > 1
+        ? (downbeats[downbeats.length - 1] - downbeats[0]) / (downbeats.length - 1)
+        : 0;
+
+    return downbeats.map((startFrame, index) => {
+        const endFrame = Math.min(envelope.length, downbeats[index + 1] ?? startFrame + Math.round(barFrames));
+        const start = startFrame / frameRate + timeOffset;
+        const end = endFrame / frameRate + timeOffset;
+
+        const firstSample = Math.floor(start * signalRate);
+        const lastSample = Math.min(signal.length, Math.floor(end * signalRate));
+
+        return {
+            start,
+            end,
+            loudness: levelDb(signal, firstSample, lastSample),
+            bass: levelDb(bassSignal, firstSample, lastSample),
+            onsets: mean(envelope, startFrame, endFrame)
+        };
+    });
+}
+
+/**
+ * Segment a track into labelled sections and suggest mix cue points
+ */
+export function detectStructure(bars, duration) {
+    if (bars.length < 2 * MIN_SECTION_BARS) {
+        return buildStructure(bars, [0, bars.length], [1], duration);
+    }
+
+    const features = standardize(bars.map(bar => [bar.loudness, bar.bass, bar.onsets]), FEATURE_SCALE_FLOOR);
+    const boundaries = pickBoundaries(features);
+    const intensities = [];
+
+    for (let i = 0; i < boundaries.length - 1; i++) {
+        const sectionFeatures = features.slice(boundaries[i], boundaries[i + 1]);
+        // Громкость и бас вместе отличают дроп от брейкдауна
+        intensities.push(sectionFeatures.reduce((sum, [loudness, bass]) => sum + loudness + bass, 0) / sectionFeatures.length);
+    }
+
+    const low = Math.min(...intensities);
+    const high = Math.max(...intensities);
+    const levels = intensities.map(value => high - low > 0.5 ? (value - low) / (high - low) : 1);
+
+    return buildStructure(bars, boundaries, levels, duration, features);
+}
+
+/**
+ * Границы там, где соседние 4-тактовые блоки сильнее всего отличаются
+ */
+function pickBoundaries(features) {
+    const novelty = new Float64Array(features.length);
+
+    for (let bar = GRID_BARS; bar <= features.length - GRID_BARS; bar++) {
+        const before = average(features.slice(bar - GRID_BARS, bar));
+        const after = average(features.slice(bar, bar + GRID_BARS));
+        novelty[bar] = Math.sqrt(before.reduce((sum, value, i) => sum + (value - after[i]) ** 2, 0));
+    }
+
+    // Кандидаты — локальные максимумы новизны выше порога
+    const candidates = [];
+    for (let bar = 1; bar < features.length; bar++) {
+        if (novelty[bar] >= NOVELTY_THRESHOLD && novelty[bar] >= novelty[bar - 1] && novelty[bar] >= (novelty[bar + 1] || 0)) {
+            candidates.push({ bar, novelty: novelty[bar] });
+        }
+    }
+
+    const boundaries = [0, features.length];
+    candidates
+        .sort((a, b) => b.novelty - a.novelty)
+        .forEach(({ bar }) => {
+            if (boundaries.every(other => Math.abs(other - bar) >= MIN_SECTION_BARS)) {
+                boundaries.push(bar);
+            }
+        });
+
+    return boundaries.sort((a, b) => a - b);
+}
+
+function buildStructure(bars, boundaries, levels, duration, features = null) {
+    if (!bars.length) {
+        return { sections: [], cues: { mixIn: null, mixOut: null } };
+    }
+
+    const sections = [];
+    const count = boundaries.length - 1;
+
+    for (let i = 0; i < count; i++) {
+        const startBar = boundaries[i];
+        const endBar = boundaries[i + 1];
+
+        sections.push({
+            label: null,
+            start: Number((i === 0 ? 0 : bars[startBar].start).toFixed(2)),
+            end: Number((i === count - 1 ? duration : bars[endBar].start).toFixed(2)),
+            startBar: startBar + 1,
+            bars: endBar - startBar,
+            energy: Number(levels[i].toFixed(2))
+        });
+    }
+
+    sections.forEach((section, i) => {
+        const isDrop = levels[i] >= DROP_LEVEL;
+
+        if (!features) {
+            section.label = UNSEGMENTED_LABEL;
+        } else if (i === 0 && count > 1 && !isDrop) {
+            section.label = 'intro';
+        } else if (i === count - 1 && count > 1 && !isDrop) {
+            section.label = 'outro';
+        } else if (isDrop) {
+            section.label = 'drop';
+        } else if (levels[i + 1] >= DROP_LEVEL && features && isRising(features, boundaries[i], boundaries[i + 1])) {
+            section.label = 'build';
+        } else {
+            section.label = 'breakdown';
+        }
+    });
+
+    return { sections, cues: mixCues(bars, sections) };
+}
+
+/**
+ * Вход — первая сильная доля, выход — начало аутро или последние 16 тактов
+ */
+function mixCues(bars, sections) {
+    const last = sections[sections.length - 1];
+    const outroBar = last.label === 'outro' && sections.length > 1
+        ? last.startBar - 1
+        : Math.max(0, bars.length - MIX_OUT_BARS);
+
+    const cue = bar => ({ time: Number(bars[bar].start.toFixed(2)), bar: bar + 1 });
+
+    return {
+        mixIn: cue(0),
+        mixOut: cue(outroBar)
+    };
+}
+
+function isRising(features, startBar, endBar) {
+    const half = Math.floor((endBar - startBar) / 2);
+    if (half < 1) return false;
+
+    const first = average(features.slice(startBar, startBar + half));
+    const second = average(features.slice(endBar - half, endBar));
+    return second[0] + second[2] > first[0] + first[2];
+}
+
+function levelDb(signal, start, end) {
+    let power = 0;
+    for (let i = start; i < end; i++) {
+        power += signal[i] * signal[i];
+    }
+    return 10 * Math.log10(power / Math.max(1, end - start) + 1e-10);
+}
+
+function mean(values, start, end) {
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+        sum += values[i];
+    }
+    return end > start ? sum / (end - start) : 0;
+}
+
+function average(rows) {
+    const result = new Array(rows[0].length).fill(0);
+    for (const row of rows) {
+        row.forEach((value, i) => {
+            result[i] += value / rows.length;
+        });
+    }
+    return result;
+}
+
+/**
+ * Приводим каждый признак к нулевому среднему и единичному отклонению
+ */
+function standardize(rows, floors) {
+    const means = average(rows);
+    const deviations = average(rows.map(row => row.map((value, i) => (value - means[i]) ** 2)))
+        .map((variance, i) => Math.max(Math.sqrt(variance), floors[i]));
+
+    return rows.map(row => row.map((value, i) => (value - means[i]) / deviations[i]));
+}
@@ -0,0 +1,175 @@
+/**
+ * Flux Tempo Map
+ * Local tempo over time, stability score and variable-tempo flags
+ */
+
+import { estimateTempo } from './tempo.js';
+import { clamp } from './dsp.js';
+
+const WINDOW_SECONDS = 8;
+const HOP_SECONDS = 4;
+
+// Локальный темп ищем в пределах ±15% от общего, чтобы не прыгать на октаву
+const LOCAL_RANGE = 0.15;
+
+// Пороги в долях от общего темпа
+const STEADY_DEVIATION = 0.015;
+const SEGMENT_TOLERANCE = 0.006;
+const RAMP_MIN_DRIFT = 0.015;
+const LIVE_JITTER = 0.02;
+
+/**
+ * Build a tempo map from the onset envelope, the global tempo and tracked beats
+ */
+export function buildTempoMap({ envelope, frameRate }, tempo, beats, duration) {
+    const windowFrames = Math.round(WINDOW_SECONDS * frameRate);
+    const hopFrames = Math.round(HOP_SECONDS * frameRate);
+    const points = [];
+
+    for (let start = 0; start + windowFrames <= envelope.length; start += hopFrames) {
+        const local = estimateTempo(envelope.subarray(start, start + windowFrames), frameRate, {
+            minBpm: tempo.bpm * (1 - LOCAL_RANGE),
+            maxBpm: tempo.bpm * (1 + LOCAL_RANGE)
+        });
+
+        points.push({ time: (start + windowFrames / 2) / frameRate, bpm: local.bpm });
+    }
+
+    if (points.length < 2) {
+        return steadyMap(tempo.bpm, duration);
+    }
+
+    // Медиана по трём окнам убирает одиночные выбросы
+    const smoothed = points.map((point, index) => ({
+        time: point.time,
+        bpm: median(points.slice(Math.max(0, index - 1), index + 2).map(p => p.bpm))
+    }));
+
+    const segments = mergeSegments(smoothed, tempo.bpm, duration);
+    const bpms = smoothed.map(point => point.bpm);
+    const deviation = standardDeviation(bpms);
+    const { slope, r2 } = linearFit(smoothed.map(point => point.time), bpms);
+    const drift = slope * (smoothed[smoothed.length - 1].time - smoothed[0].time);
+    const jitter = beatJitter(beats);
+
+    const minBpm = Math.min(...bpms);
+    const maxBpm = Math.max(...bpms);
+    const maxDeviation = Math.max(maxBpm - tempo.bpm, tempo.bpm - minBpm) / tempo.bpm;
+
+    let kind = 'steady';
+    if (maxDeviation >= STEADY_DEVIATION || jitter >= LIVE_JITTER) {
+        // Разгон — плавный дрейф через несколько сегментов, а не одна смена темпа
+        if (Math.abs(drift) / tempo.bpm >= RAMP_MIN_DRIFT && r2 >= 0.6 && segments.length >= 3) {
+            kind = 'ramp';
+        } else if (jitter >= LIVE_JITTER) {
+            kind = 'live';
+        } else {
+            kind = 'variable';
+        }
+    }
+
+    return {
+        stability: Number(clamp(1 - deviation / (0.03 * tempo.bpm)).toFixed(3)),
+        segments,
+        variation: {
+            kind,
+            variable: kind !== 'steady',
+            minBpm: Number(minBpm.toFixed(1)),
+            maxBpm: Number(maxBpm.toFixed(1)),
+            driftBpm: Number(drift.toFixed(1)),
+            beatJitter: Number(jitter.toFixed(3))
+        }
+    };
+}
+
+function steadyMap(bpm, duration) {
+    return {
+        stability: 1,
+        segments: [{ start: 0, end: Number(duration.toFixed(2)), bpm }],
+        variation: { kind: 'steady', variable: false, minBpm: bpm, maxBpm: bpm, driftBpm: 0, beatJitter: 0 }
+    };
+}
+
+/**
+ * Соседние окна с близким темпом объединяются в один сегмент
+ */
+function mergeSegments(points, globalBpm, duration) {
+    const segments = [];
+    let current = { start: 0, values: [points[0].bpm] };
+
+    for (let i = 1; i < points.length; i++) {
+        const average = current.values.reduce((sum, value) => sum + value, 0) / current.values.length;
+        const boundary = (points[i - 1].time + points[i].time) / 2;
+
+        if (Math.abs(points[i].bpm - average) > SEGMENT_TOLERANCE * globalBpm) {
+            segments.push(closeSegment(current, boundary));
+            current = { start: boundary, values: [] };
+        }
+        current.values.push(points[i].bpm);
+    }
+
+    segments.push(closeSegment(current, duration));
+    return segments;
+}
+
+function closeSegment(segment, end) {
+    const bpm = segment.values.reduce((sum, value) => sum + value, 0) / segment.values.length;
+    return {
+        start: Number(segment.start.toFixed(2)),
+        end: Number(end.toFixed(2)),
+        bpm: Number(bpm.toFixed(1))
+    };
+}
+
+/**
+ * Relative spread of consecutive inter-beat interval changes
+ */
+function beatJitter(beats) {
+    if (beats.length < 8) return 0;
+
+    const intervals = [];
+    for (let i = 1; i < beats.length; i++) {
+        intervals.push(beats[i] - beats[i - 1]);
+    }
+
+    // Разности соседних интервалов не чувствительны к плавному дрейфу темпа
+    const changes = [];
+    for (let i = 1; i < intervals.length; i++) {
+        changes.push((intervals[i] - intervals[i - 1]) / Math.SQRT2);
+    }
+
+    return standardDeviation(changes) / median(intervals);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function standardDeviation(values) {
+    const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length;
+    return Math.sqrt(variance);
+}
+
+function linearFit(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+
+    const slope = varianceX ? covariance / varianceX : 0;
+    const r2 = varianceX && varianceY ? (covariance * covariance) / (varianceX * varianceY) : 0;
+
+    return { slope, r2 };
+}
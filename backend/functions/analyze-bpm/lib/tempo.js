@@ -0,0 +1,286 @@
+/**
+ * Flux Tempo Detection
+ * Onset envelope + autocorrelation with comb filtering
+ */
+
+import { forEachSpectrum, clamp } from './dsp.js';
+
+const ONSET_FRAME_SIZE = 1024;
+const ONSET_HOP_SIZE = 256;
+
+// Полоса бочки и баса для акцентной огибающей
+const BASS_MAX_FREQUENCY = 200;
+
+// Априорное распределение темпа (лог-нормальное вокруг 120 BPM)
+const PRIOR_CENTER_BPM = 120;
+const PRIOR_WIDTH_OCTAVES = 1;
+
+// Веса кратных периодов для гребенчатого фильтра
+const COMB_WEIGHTS = [1, 0.5, 0.33, 0.25];
+
+// Метрические родственники найденного темпа: половинный, двойной, триольные прочтения
+const CANDIDATE_RATIOS = [1, 0.5, 2, 0.75, 1.5, 2 / 3, 4 / 3];
+const CANDIDATE_MIN_BPM = 40;
+const CANDIDATE_MAX_BPM = 240;
+const MAX_CANDIDATES = 4;
+
+// Вне предпочтительного диапазона профиля кандидат остаётся в списке, но ниже
+const OUT_OF_RANGE_WEIGHT = 0.5;
+
+/**
+ * Spectral-flux onset strength envelopes: full band and bass band.
+ * Больший hopSize вдвое-вчетверо ускоряет расчёт ценой временного разрешения.
+ */
+export function onsetEnvelope(signal, sampleRate, { frameSize = ONSET_FRAME_SIZE, hopSize = ONSET_HOP_SIZE } = {}) {
+    const bins = frameSize / 2 + 1;
+    const bassBins = Math.ceil((BASS_MAX_FREQUENCY * frameSize) / sampleRate);
+    const previous = new Float32Array(bins);
+    const flux = [];
+    const bassFlux = [];
+
+    forEachSpectrum(signal, { frameSize, hopSize }, (magnitudes, frame) => {
+        let sum = 0;
+        let bassSum = 0;
+
+        for (let k = 1; k < bins; k++) {
+            // Логарифмическое сжатие делает тихие атаки заметнее
+            const value = Math.log1p(1000 * magnitudes[k]);
+            if (frame > 0 && value > previous[k]) {
+                sum += value - previous[k];
+                if (k <= bassBins) {
+                    bassSum += value - previous[k];
+                }
+            }
+            previous[k] = value;
+        }
+
+        flux.push(sum);
+        bassFlux.push(bassSum);
+    });
+
+    const frameRate = sampleRate / hopSize;
+
+    return {
+        envelope: postprocess(flux, frameRate),
+        bassEnvelope: postprocess(bassFlux, frameRate),
+        frameRate,
+        // Атака попадает в кадр примерно к середине окна
+        timeOffset: frameSize / 2 / sampleRate
+    };
+}
+
+/**
+ * Вычитаем локальное среднее (~0.5 с), оставляем положительную часть и нормируем
+ */
+function postprocess(flux, frameRate) {
+    const envelope = new Float32Array(flux.length);
+    const radius = Math.round(frameRate * 0.25);
+    let windowSum = 0;
+    let windowStart = 0;
+    let windowEnd = 0;
+
+    for (let i = 0; i < flux.length; i++) {
+        while (windowEnd < Math.min(flux.length, i + radius + 1)) {
+            windowSum += flux[windowEnd++];
+        }
+        while (windowStart < i - radius) {
+            windowSum -= flux[windowStart++];
+        }
+        envelope[i] = Math.max(0, flux[i] - windowSum / (windowEnd - windowStart));
+    }
+
+    normalize(envelope);
+
+    return envelope;
+}
+
+/**
+ * Estimate the dominant tempo of an onset envelope.
+ * priorBpm смещает выбор между кратными темпами (половинным/двойным) к типичному для жанра.
+ */
+export function estimateTempo(envelope, frameRate, {
+    minBpm = 60,
+    maxBpm = 200,
+    priorBpm = PRIOR_CENTER_BPM,
+    withCandidates = false
+} = {}) {
+    const minLag = Math.max(1, Math.floor((60 * frameRate) / maxBpm));
+    const maxLag = Math.ceil((60 * frameRate) / minBpm);
+    // Кандидатам нужны задержки вплоть до самого медленного темпа
+    const acfLag = withCandidates ? Math.max(maxLag, Math.ceil((60 * frameRate) / CANDIDATE_MIN_BPM)) : maxLag;
+    const acf = autocorrelate(envelope, acfLag * COMB_WEIGHTS.length + 1);
+    const prior = bpm => Math.exp(-0.5 * (Math.log2(bpm / priorBpm) / PRIOR_WIDTH_OCTAVES) ** 2);
+
+    // Гребенчатый фильтр: период подтверждается пиками на кратных задержках
+    const scores = new Float64Array(maxLag + 1);
+    let bestLag = minLag;
+
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        scores[lag] = combScore(acf, lag) * prior((60 * frameRate) / lag);
+        if (scores[lag] > scores[bestLag]) {
+            bestLag = lag;
+        }
+    }
+
+    const period = refinePeriod(acf, bestLag);
+    const bpm = (60 * frameRate) / period;
+
+    // Уверенность: высота пика АКФ и его отрыв от ближайшего конкурента
+    const salience = clamp(acf[bestLag] / (acf[0] || 1));
+    let rival = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const ratio = lag / bestLag;
+        const isHarmonic = [0.5, 1, 2, 1.5, 2 / 3].some(r => Math.abs(ratio - r) < 0.06);
+        if (!isHarmonic && scores[lag] > rival) {
+            rival = scores[lag];
+        }
+    }
+    const dominance = scores[bestLag] > 0 ? clamp(1 - rival / scores[bestLag]) : 0;
+
+    return {
+        bpm,
+        period,
+        confidence: clamp(0.6 * Math.sqrt(salience) + 0.4 * dominance),
+        ...(withCandidates && { candidates: rankCandidates(acf, frameRate, bpm, { minBpm, maxBpm, prior }) })
+    };
+}
+
+/**
+ * Score the metrical relatives of the detected tempo (70/140/105 for 140 BPM)
+ * with the same comb filter and prior. Confidences are shares of the total;
+ * candidates inside the preferred range come first, so the detected tempo leads.
+ */
+function rankCandidates(acf, frameRate, bpm, { minBpm, maxBpm, prior }) {
+    const candidates = CANDIDATE_RATIOS
+        .map(ratio => ({ ratio, bpm: bpm * ratio }))
+        .filter(candidate => candidate.bpm >= CANDIDATE_MIN_BPM && candidate.bpm <= CANDIDATE_MAX_BPM)
+        .map(candidate => {
+            const inRange = candidate.bpm >= minBpm && candidate.bpm <= maxBpm;
+            const lag = Math.round((60 * frameRate) / candidate.bpm);
+            return {
+                ...candidate,
+                inRange,
+                score: combScore(acf, lag) * prior(candidate.bpm) * (inRange ? 1 : OUT_OF_RANGE_WEIGHT)
+            };
+        });
+
+    const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+
+    return candidates
+        .sort((a, b) => a.ratio === 1 ? -1 : b.ratio === 1 ? 1 : (b.inRange - a.inRange) || (b.score - a.score))
+        .slice(0, MAX_CANDIDATES)
+        .map(({ ratio, bpm: candidateBpm, inRange, score }) => ({
+            bpm: Number(candidateBpm.toFixed(1)),
+            ratio: Number(ratio.toFixed(3)),
+            confidence: Number((total > 0 ? score / total : 0).toFixed(3)),
+            inRange
+        }));
+}
+
+function combScore(acf, lag) {
+    let score = 0;
+    COMB_WEIGHTS.forEach((weight, index) => {
+        score += weight * peakAround(acf, lag * (index + 1), index + 1);
+    });
+    return score;
+}
+
+/**
+ * Measure the tempo from an onset envelope (see onsetEnvelope)
+ */
+export function detectTempo({ envelope, frameRate }, options = {}) {
+    if (envelope.length < frameRate * 4) {
+        throw new Error('Audio is too short for tempo detection');
+    }
+
+    const { bpm, period, confidence, candidates } = estimateTempo(envelope, frameRate, { ...options, withCandidates: true });
+
+    return {
+        bpm: Number(bpm.toFixed(1)),
+        period,
+        confidence: Number(confidence.toFixed(3)),
+        candidates
+    };
+}
+
+function autocorrelate(envelope, maxLag) {
+    const size = Math.min(maxLag, envelope.length - 1);
+    const acf = new Float64Array(size + 1);
+
+    let average = 0;
+    for (const value of envelope) {
+        average += value / envelope.length;
+    }
+
+    for (let lag = 0; lag <= size; lag++) {
+        let sum = 0;
+        for (let i = lag; i < envelope.length; i++) {
+            sum += (envelope[i] - average) * (envelope[i - lag] - average);
+        }
+        // Несмещённая оценка, чтобы длинные задержки не проигрывали
+        acf[lag] = sum / (envelope.length - lag);
+    }
+
+    return acf;
+}
+
+function peakAround(acf, center, spread) {
+    let peak = 0;
+    for (let lag = center - spread; lag <= center + spread; lag++) {
+        if (lag > 0 && lag < acf.length && acf[lag] > peak) {
+            peak = acf[lag];
+        }
+    }
+    return peak;
+}
+
+/**
+ * Уточнение периода по пикам на 1..4 кратных задержках с параболической интерполяцией
+ */
+function refinePeriod(acf, lag) {
+    let weighted = 0;
+    let weightSum = 0;
+
+    COMB_WEIGHTS.forEach((weight, index) => {
+        const multiple = index + 1;
+        let peakLag = Math.round(lag * multiple);
+
+        for (let candidate = peakLag - multiple; candidate <= peakLag + multiple; candidate++) {
+            if (candidate > 0 && candidate < acf.length - 1 && acf[candidate] > acf[peakLag]) {
+                peakLag = candidate;
+            }
+        }
+
+        if (peakLag <= 0 || peakLag >= acf.length - 1) return;
+
+        const left = acf[peakLag - 1];
+        const center = acf[peakLag];
+        const right = acf[peakLag + 1];
+        const denominator = left - 2 * center + right;
+        const offset = denominator < 0 ? 0.5 * (left - right) / denominator : 0;
+
+        weighted += weight * (peakLag + offset);
+        weightSum += weight * multiple;
+    });
+
+    return weightSum ? weighted / weightSum : lag;
+}
+
+function normalize(values) {
+    let sum = 0;
+    let sumSquares = 0;
+
+    for (const value of values) {
+        sum += value;
+        sumSquares += value * value;
+    }
+
+    const average = sum / (values.length || 1);
+    const deviation = Math.sqrt(Math.max(0, sumSquares / (values.length || 1) - average * average));
+
+    if (deviation > 0) {
+        for (let i = 0; i < values.length; i++) {
+            values[i] /= deviation;
+        }
+    }
+}
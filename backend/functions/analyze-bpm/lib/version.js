@@ -0,0 +1,10 @@
+/**
+ * Flux Analyzer Version
+ * Версия алгоритма анализа и схемы результата
+ */
+
+// Повышать при любом изменении, которое меняет результаты анализа: старые записи кэша перестают совпадать
+export const ALGORITHM_VERSION = '3.7.2';
+
+// Повышать при несовместимом изменении формы ответа (переименование, удаление или смена типа поля)
+export const RESULTS_SCHEMA_VERSION = 2;
@@ -0,0 +1,171 @@
+/**
+ * Flux Vocal Detection
+ * Vocal presence and vocal-heavy sections from moving tonal peaks in the voice band
+ */
+
+import { forEachSpectrum, clamp } from './dsp.js';
+
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 1024;
+
+// Голосовая полоса: основной тон и форманты
+const MIN_FREQUENCY = 150;
+const MAX_FREQUENCY = 4000;
+
+// Тональный пик выше среднего по соседним бинам (дБ)
+const PEAK_PROMINENCE = 10;
+const PEAK_NEIGHBOURS = 6;
+
+// Пик должен подняться над минимумом своего бина за ±0.75 с (дБ): пэды и аккорды стоят на месте, голос движется
+const MOVEMENT_WINDOW = 0.75;
+const MOVEMENT_DB = 6;
+
+// Доля энергии полосы в движущихся тональных пиках: порог голоса и уровень полной уверенности
+const VOCAL_SCORE = 0.08;
+const FULL_SCORE = 0.3;
+
+// Паузы на вдох не разрывают секцию; короткие всплески не считаются секцией
+const MAX_GAP_BLOCKS = 1;
+const MIN_SECTION_BLOCKS = 2;
+const MIN_PRESENT_BLOCKS = 4;
+
+// Без сетки долей трек режется на равные блоки
+const FALLBACK_BLOCK = 2;
+
+/**
+ * Whether a track has vocals and where the vocal-heavy sections are.
+ * Blocks are the bars from barFeatures (or fixed windows when there is no beat grid).
+ */
+export function detectVocals(signal, sampleRate, bars, { hopSize = HOP_SIZE } = {}) {
+    const scores = frameScores(signal, sampleRate, hopSize);
+    const duration = signal.length / sampleRate;
+    const blocks = bars.length
+        ? bars
+        : Array.from({ length: Math.ceil(duration / FALLBACK_BLOCK) }, (_, i) => ({
+            start: i * FALLBACK_BLOCK,
+            end: Math.min(duration, (i + 1) * FALLBACK_BLOCK)
+        }));
+
+    const blockScores = blocks.map(({ start, end }) => {
+        // Кадр относится к блоку по своему центру
+        const first = Math.max(0, Math.ceil((start * sampleRate - FRAME_SIZE / 2) / hopSize));
+        const last = Math.min(scores.length, Math.ceil((end * sampleRate - FRAME_SIZE / 2) / hopSize));
+        let sum = 0;
+        for (let i = first; i < last; i++) {
+            sum += scores[i];
+        }
+        return last > first ? sum / (last - first) : 0;
+    });
+
+    const sections = [];
+    let current = null;
+
+    blockScores.forEach((score, index) => {
+        if (score < VOCAL_SCORE) return;
+
+        if (current && index - current.last - 1 <= MAX_GAP_BLOCKS) {
+            current.last = index;
+        } else {
+            current = { first: index, last: index };
+            sections.push(current);
+        }
+    });
+
+    const kept = sections.filter(({ first, last }) => last - first + 1 >= MIN_SECTION_BLOCKS);
+    const vocalBlocks = kept.reduce((sum, { first, last }) => sum + last - first + 1, 0);
+
+    const vocalSections = kept.map(({ first, last }) => {
+        const sectionScores = blockScores.slice(first, last + 1);
+        const mean = sectionScores.reduce((sum, value) => sum + value, 0) / sectionScores.length;
+
+        return {
+            start: Number(blocks[first].start.toFixed(2)),
+            end: Number(blocks[last].end.toFixed(2)),
+            ...(bars.length && { startBar: first + 1, bars: last - first + 1 }),
+            confidence: Number(clamp((mean - VOCAL_SCORE) / (FULL_SCORE - VOCAL_SCORE) * 0.5 + 0.5).toFixed(2))
+        };
+    });
+
+    const vocalTime = vocalSections.reduce((sum, section) => sum + section.end - section.start, 0);
+    const present = vocalSections.length > 0 && vocalBlocks >= MIN_PRESENT_BLOCKS;
+    const peak = Math.max(0, ...blockScores);
+
+    return {
+        present,
+        // Уверенность в самом вердикте: средняя по секциям с голосом или насколько далеко трек от порога
+        confidence: present
+            ? Number((vocalSections.reduce((sum, section) => sum + section.confidence * (section.end - section.start), 0) / vocalTime).toFixed(2))
+            : Number((1 - clamp(peak / VOCAL_SCORE) * 0.5).toFixed(2)),
+        coverage: duration > 0 ? Number(clamp(vocalTime / duration).toFixed(3)) : 0,
+        sections: present ? vocalSections : []
+    };
+}
+
+/**
+ * Доля энергии голосовой полосы в тональных пиках, которые движутся во времени
+ */
+function frameScores(signal, sampleRate, hopSize) {
+    const binHz = sampleRate / FRAME_SIZE;
+    const firstBin = Math.ceil(MIN_FREQUENCY / binHz);
+    const bins = Math.floor(MAX_FREQUENCY / binHz) - firstBin + 1;
+    const window = Math.max(1, Math.round((MOVEMENT_WINDOW * sampleRate) / hopSize));
+
+    // Спектр голосовой полосы в дБ (полоса узкая, поэтому хранится целиком)
+    const spectrum = [];
+    forEachSpectrum(signal, { frameSize: FRAME_SIZE, hopSize }, (magnitudes) => {
+        const levels = new Float32Array(bins);
+        for (let k = 0; k < bins; k++) {
+            levels[k] = 10 * Math.log10(magnitudes[firstBin + k] ** 2 + 1e-10);
+        }
+        spectrum.push(levels);
+    });
+
+    const scores = new Float32Array(spectrum.length);
+
+    for (let frame = 0; frame < spectrum.length; frame++) {
+        const levels = spectrum[frame];
+        let total = 0;
+        let moving = 0;
+
+        for (let k = 0; k < bins; k++) {
+            total += 10 ** (levels[k] / 10);
+        }
+
+        for (let k = 1; k < bins - 1; k++) {
+            if (levels[k] < levels[k - 1] || levels[k] < levels[k + 1]) continue;
+            if (levels[k] - neighbourMean(levels, k) < PEAK_PROMINENCE) continue;
+
+            // Минимум за окно по самому бину и соседям: лёгкое плавание высоты выдержанной ноты не считается движением
+            let floor = Infinity;
+            const from = Math.max(0, frame - window);
+            const to = Math.min(spectrum.length - 1, frame + window);
+            for (let other = from; other <= to; other++) {
+                const row = spectrum[other];
+                floor = Math.min(floor, Math.max(row[k - 1], row[k], row[k + 1]));
+            }
+
+            if (levels[k] - floor > MOVEMENT_DB) {
+                moving += 10 ** (levels[k] / 10);
+            }
+        }
+
+        scores[frame] = total > 0 ? moving / total : 0;
+    }
+
+    return scores;
+}
+
+function neighbourMean(levels, k) {
+    let sum = 0;
+    let count = 0;
+
+    for (let j = -PEAK_NEIGHBOURS; j <= PEAK_NEIGHBOURS; j++) {
+        // Сам пик и его боковые бины окна Ханна не входят в фон
+        if (Math.abs(j) > 1 && k + j >= 0 && k + j < levels.length) {
+            sum += levels[k + j];
+            count++;
+        }
+    }
+
+    return count ? sum / count : levels[k];
+}
@@ -0,0 +1,69 @@
+/**
+ * Flux Waveform Peaks
+ * Multi-resolution min/max overview data, optionally split into low/mid/high bands
+ */
+
+import { lowPass, highPass } from './dsp.js';
+
+// Отсчётов на одну пару min/max для каждого уровня масштаба (от обзора к деталям)
+const ZOOM_LEVELS = [4096, 1024, 256];
+
+const LOW_BAND_MAX = 250;
+const HIGH_BAND_MIN = 4000;
+
+/**
+ * Build waveform peaks for a mono signal
+ * Each level stores interleaved [min, max] pairs as signed 8-bit values in base64
+ */
+export function buildWaveform(signal, sampleRate, { bands = false } = {}) {
+    const bandSignals = bands
+        ? {
+            low: lowPass(signal, sampleRate, LOW_BAND_MAX),
+            mid: lowPass(highPass(signal, sampleRate, LOW_BAND_MAX), sampleRate, HIGH_BAND_MIN),
+            high: highPass(signal, sampleRate, HIGH_BAND_MIN)
+        }
+        : null;
+
+    return {
+        version: 1,
+        sampleRate,
+        bits: 8,
+        duration: Number((signal.length / sampleRate).toFixed(3)),
+        levels: ZOOM_LEVELS.map(samplesPerPeak => ({
+            samplesPerPeak,
+            peaksPerSecond: Number((sampleRate / samplesPerPeak).toFixed(3)),
+            length: Math.ceil(signal.length / samplesPerPeak),
+            data: encodePeaks(signal, samplesPerPeak),
+            ...(bandSignals && {
+                bands: Object.fromEntries(
+                    Object.entries(bandSignals).map(([name, band]) => [name, encodePeaks(band, samplesPerPeak)])
+                )
+            })
+        }))
+    };
+}
+
+function encodePeaks(signal, samplesPerPeak) {
+    const count = Math.ceil(signal.length / samplesPerPeak);
+    const peaks = new Int8Array(count * 2);
+
+    for (let peak = 0; peak < count; peak++) {
+        let min = 0;
+        let max = 0;
+        const end = Math.min(signal.length, (peak + 1) * samplesPerPeak);
+
+        for (let i = peak * samplesPerPeak; i < end; i++) {
+            if (signal[i] < min) min = signal[i];
+            if (signal[i] > max) max = signal[i];
+        }
+
+        peaks[peak * 2] = toInt8(min);
+        peaks[peak * 2 + 1] = toInt8(max);
+    }
+
+    return Buffer.from(peaks.buffer).toString('base64');
+}
+
+function toInt8(value) {
+    return Math.max(-128, Math.min(127, Math.round(value * 127)));
+}
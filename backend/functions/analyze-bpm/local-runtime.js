@@ -0,0 +1,182 @@
+/**
+ * Flux Local Runtime
+ * Serves the Cloud Function handler over HTTP with Yandex Cloud event/context objects
+ */
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import FluxErrors from 'flux-shared/errors.js';
+import { handler } from './index.js';
+import { MAX_AUDIO_BYTES } from './lib/audio-source.js';
+
+const PORT = Number(process.env.FUNCTION_PORT) || 8080;
+const HOST = process.env.FUNCTION_HOST || '127.0.0.1';
+
+// Как в yc-function.yaml / npm run deploy
+const FUNCTION_NAME = 'analyze-bpm';
+const MEMORY_LIMIT_MB = Number(process.env.FUNCTION_MEMORY_MB) || 1024;
+
+// Больше функция всё равно не примет, а буферизовать без предела нельзя
+const MAX_BODY_BYTES = MAX_AUDIO_BYTES;
+
+// Текстовые тела Яндекс.Облако передаёт строкой, остальные — в base64
+const TEXT_CONTENT_TYPES = [/^text\//, /^application\/(json|xml|x-www-form-urlencoded)/, /\+json/];
+
+/**
+ * Event in the Yandex Cloud HTTP integration shape
+ */
+export function buildEvent(req, body, requestId) {
+    const url = new URL(req.url, 'http://localhost');
+    const headers = {};
+    const multiValueHeaders = {};
+
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        const name = canonicalHeader(req.rawHeaders[i]);
+        const value = req.rawHeaders[i + 1];
+        multiValueHeaders[name] = [...(multiValueHeaders[name] || []), value];
+        headers[name] = multiValueHeaders[name].join(', ');
+    }
+
+    const queryStringParameters = {};
+    const multiValueQueryStringParameters = {};
+    for (const [name, value] of url.searchParams) {
+        multiValueQueryStringParameters[name] = [...(multiValueQueryStringParameters[name] || []), value];
+        queryStringParameters[name] = value;
+    }
+
+    const contentType = (headers['Content-Type'] || '').toLowerCase();
+    const isText = !body.length || TEXT_CONTENT_TYPES.some(pattern => pattern.test(contentType));
+    const now = Date.now();
+
+    return {
+        httpMethod: req.method,
+        headers,
+        multiValueHeaders,
+        queryStringParameters,
+        multiValueQueryStringParameters,
+        requestContext: {
+            identity: {
+                sourceIp: req.socket.remoteAddress,
+                userAgent: headers['User-Agent'] || ''
+            },
+            httpMethod: req.method,
+            requestId,
+            requestTime: new Date(now).toUTCString(),
+            requestTimeEpoch: Math.floor(now / 1000)
+        },
+        body: isText ? body.toString('utf8') : body.toString('base64'),
+        isBase64Encoded: !isText
+    };
+}
+
+/**
+ * Invocation context as the Node.js runtime passes it
+ */
+export function buildContext(requestId) {
+    return {
+        requestId,
+        functionName: FUNCTION_NAME,
+        functionVersion: '$latest',
+        memoryLimitInMB: MEMORY_LIMIT_MB
+    };
+}
+
+/**
+ * Write the handler result the way the HTTP integration does
+ */
+function sendResult(res, result) {
+    // Ответ без statusCode (прямой вызов) Яндекс.Облако отдаёт как JSON
+    if (!result || typeof result !== 'object' || result.statusCode === undefined) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result ?? null));
+        return;
+    }
+
+    for (const [name, value] of Object.entries(result.headers || {})) {
+        res.setHeader(name, String(value));
+    }
+    for (const [name, values] of Object.entries(result.multiValueHeaders || {})) {
+        res.setHeader(name, values.map(String));
+    }
+
+    const body = result.body ?? '';
+    res.writeHead(result.statusCode);
+    res.end(result.isBase64Encoded ? Buffer.from(body, 'base64') : typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * 413 for a body over MAX_BODY_BYTES, answered without invoking the handler
+ */
+function sendTooLarge(res, requestId) {
+    res.setHeader('Connection', 'close');
+    sendResult(res, {
+        statusCode: FluxErrors.statusFor('AUDIO_TOO_LARGE'),
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(FluxErrors.errorBody('AUDIO_TOO_LARGE', {
+            message: `Request body is limited to ${MAX_BODY_BYTES / 1024 / 1024}MB`,
+            details: { maxBytes: MAX_BODY_BYTES },
+            requestId
+        }))
+    });
+}
+
+/**
+ * Content-Type -> Content-Type, x-file-name -> X-File-Name
+ */
+function canonicalHeader(name) {
+    return name.toLowerCase().replace(/(^|-)([a-z])/g, (_, dash, letter) => dash + letter.toUpperCase());
+}
+
+/**
+ * HTTP server that invokes the handler once per request
+ */
+export function createRuntime() {
+    return http.createServer((req, res) => {
+        const requestId = randomUUID();
+        const chunks = [];
+        let received = 0;
+
+        // Заявленный размер проверяем сразу, фактический — по мере чтения
+        if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+            sendTooLarge(res, requestId);
+            return;
+        }
+
+        req.on('data', (chunk) => {
+            if (res.headersSent) return;
+
+            received += chunk.length;
+            if (received > MAX_BODY_BYTES) {
+                chunks.length = 0;
+                sendTooLarge(res, requestId);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', async () => {
+            if (res.headersSent) return;
+
+            const startTime = Date.now();
+
+            try {
+                const event = buildEvent(req, Buffer.concat(chunks), requestId);
+                sendResult(res, await handler(event, buildContext(requestId)));
+            } catch (error) {
+                // Необработанное исключение в функции — 502, как у шлюза Яндекс.Облака
+                console.error('❌ Функция завершилась с ошибкой:', error);
+                res.writeHead(502, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ errorMessage: error.message, errorType: error.name }));
+            }
+
+            console.log(`⏱️ ${req.method} ${req.url} → ${res.statusCode} за ${Date.now() - startTime} мс (${requestId})`);
+        });
+    });
+}
+
+// Запуск: node local-runtime.js (или npm start)
+if (import.meta.url === `file://${process.argv[1]}`) {
+    createRuntime().listen(PORT, HOST, () => {
+        console.log(`🔧 Локальная среда функции ${FUNCTION_NAME}: http://${HOST}:${PORT}`);
+        console.log(`   YANDEX_FUNCTION_URL=http://${HOST}:${PORT} для server.js`);
+    });
+}
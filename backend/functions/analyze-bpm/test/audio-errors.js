@@ -0,0 +1,70 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeWav, beatTrack, corruptMp3, uploadEvent } from './fixtures/audio.js';
+import { MAX_AUDIO_DURATION } from '../lib/audio-source.js';
+
+process.env.ANALYSIS_CACHE = 'off';
+// Обработчик подробно логирует каждый запрос
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const { handler } = await import('../index.js');
+
+async function analyze(event) {
+    const response = await handler(event, { requestId: 'test' });
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('audio shorter than the tempo window is a non-retryable 422', async () => {
+    for (const seconds of [2, 0.01]) {
+        const { statusCode, body } = await analyze(uploadEvent(makeWav(beatTrack(120, seconds))));
+
+        assert.equal(statusCode, 422);
+        assert.equal(body.error.code, 'AUDIO_TOO_SHORT');
+        assert.equal(body.error.retryable, false);
+    }
+});
+
+test('a corrupt MP3 that decodes to almost nothing is not retried', async () => {
+    const { statusCode, body } = await analyze(uploadEvent(corruptMp3(), 'audio/mpeg'));
+
+    assert.equal(statusCode, 422);
+    assert.equal(body.error.code, 'AUDIO_TOO_SHORT');
+    assert.equal(body.error.retryable, false);
+});
+
+test('bytes the decoder rejects are DECODE_FAILED', async () => {
+    const wav = makeWav(beatTrack(120, 6));
+    // Заголовок WAV без данных: формат распознан, декодировать нечего
+    const { statusCode, body } = await analyze(uploadEvent(wav.subarray(0, 44)));
+
+    assert.equal(statusCode, 422);
+    assert.equal(body.error.code, 'DECODE_FAILED');
+    assert.equal(body.error.retryable, false);
+});
+
+test('a small file that decodes to more than the duration limit is refused', async () => {
+    // 11 минут моно 8 кГц — 10 МБ на входе, но больше 100 МБ PCM после приведения к 44,1 кГц
+    const sampleRate = 8000;
+    const wav = makeWav(beatTrack(120, MAX_AUDIO_DURATION + 60, sampleRate), null, sampleRate);
+    const { statusCode, body } = await analyze(uploadEvent(wav));
+
+    assert.equal(statusCode, 422);
+    assert.equal(body.error.code, 'AUDIO_TOO_LONG');
+    assert.equal(body.error.retryable, false);
+});
+
+test('audio long enough for tempo detection is analyzed', async () => {
+    const { statusCode, body } = await analyze(uploadEvent(makeWav(beatTrack(120, 8))));
+
+    assert.equal(statusCode, 200);
+    assert.ok(Math.abs(body.data.bpm - 120) < 2, `bpm ${body.data.bpm}`);
+});
+
+test('a silent track is rejected instead of getting a made-up tempo and cue', async () => {
+    const { statusCode, body } = await analyze(uploadEvent(makeWav(new Float32Array(44100 * 10))));
+
+    assert.equal(statusCode, 422);
+    assert.equal(body.error.code, 'NO_AUDIBLE_CONTENT');
+    assert.equal(body.error.retryable, false);
+});
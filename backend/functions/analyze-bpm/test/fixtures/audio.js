@@ -0,0 +1,104 @@
+/**
+ * Synthetic audio files for the tests
+ */
+
+/**
+ * 16-bit PCM WAV from one (mono) or two (stereo) channels of samples in -1..1
+ */
+export function makeWav(left, right = null, sampleRate = 44100) {
+    const channels = right ? 2 : 1;
+    const length = left.length;
+    const buffer = Buffer.alloc(44 + length * 2 * channels);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + length * 2 * channels, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2 * channels, 28);
+    buffer.writeUInt16LE(2 * channels, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(length * 2 * channels, 40);
+
+    const toInt = sample => Math.max(-32768, Math.min(32767, Math.round(32767 * sample)));
+    for (let i = 0; i < length; i++) {
+        const offset = 44 + i * 2 * channels;
+        buffer.writeInt16LE(toInt(left[i]), offset);
+        if (right) buffer.writeInt16LE(toInt(right[i]), offset + 2);
+    }
+
+    return buffer;
+}
+
+/**
+ * Four-on-the-floor kick with off-beat hats over an A minor pad
+ */
+export function beatTrack(bpm, seconds, sampleRate = 44100) {
+    const samples = new Float32Array(Math.round(sampleRate * seconds));
+    const beat = 60 / bpm;
+
+    for (let step = 0; step * beat / 2 < seconds; step++) {
+        const start = Math.floor(step * beat / 2 * sampleRate);
+        const kick = step % 2 === 0;
+
+        for (let j = 0; j < 4000 && start + j < samples.length; j++) {
+            samples[start + j] += kick
+                ? 0.6 * Math.sin(2 * Math.PI * 60 * j / sampleRate) * Math.exp(-j / 1200)
+                : 0.2 * Math.sin(j * 2.3) * Math.sin(j * 7.1) * Math.exp(-j / 400);
+        }
+    }
+
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / sampleRate;
+        samples[i] += 0.05 * (Math.sin(2 * Math.PI * 220 * t) + Math.sin(2 * Math.PI * 261.63 * t) + Math.sin(2 * Math.PI * 329.63 * t));
+    }
+
+    return samples;
+}
+
+/**
+ * Short 1 kHz clicks on every beat; `bpmAt(time)` gives the tempo, `jitter` shifts each click by up to that many seconds
+ */
+export function clickTrack(bpmAt, seconds, sampleRate = 22050, jitter = 0) {
+    const samples = new Float32Array(Math.round(sampleRate * seconds));
+
+    for (let time = 0, beat = 0; time < seconds; time += 60 / bpmAt(time), beat++) {
+        // Детерминированный сдвиг, чтобы тест не зависел от случайности
+        const start = Math.round(Math.max(0, time + jitter * Math.sin(beat * 2.39996)) * sampleRate);
+
+        for (let j = 0; j < 800 && start + j < samples.length; j++) {
+            samples[start + j] += 0.8 * Math.sin(2 * Math.PI * 1000 * j / sampleRate) * Math.exp(-j / 150);
+        }
+    }
+
+    return samples;
+}
+
+/**
+ * Bytes that pass MP3 format detection (valid frame headers) but carry no real audio
+ */
+export function corruptMp3(length = 5000) {
+    const bytes = Buffer.alloc(length);
+
+    for (let i = 0; i + 4 <= length; i += 417) {
+        bytes.set([0xFF, 0xFB, 0x90, 0x64], i);
+    }
+
+    return bytes;
+}
+
+/**
+ * Event for a raw upload, as the Yandex Cloud HTTP integration delivers it
+ */
+export function uploadEvent(bytes, contentType = 'audio/wav', headers = {}) {
+    return {
+        httpMethod: 'POST',
+        headers: { 'Content-Type': contentType, ...headers },
+        body: Buffer.from(bytes).toString('base64'),
+        isBase64Encoded: true
+    };
+}
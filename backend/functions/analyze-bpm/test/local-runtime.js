@@ -0,0 +1,70 @@
+import { test, mock, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { MAX_AUDIO_BYTES } from '../lib/audio-source.js';
+import { makeWav, beatTrack } from './fixtures/audio.js';
+
+process.env.ANALYSIS_CACHE = 'off';
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const { createRuntime } = await import('../local-runtime.js');
+
+const runtime = createRuntime();
+await new Promise(resolve => runtime.listen(0, '127.0.0.1', resolve));
+const { port } = runtime.address();
+
+after(() => runtime.close());
+
+/**
+ * POST `count` chunks and resolve with the response,
+ * which may arrive before the whole body is sent
+ */
+function post(chunk, count, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, host: '127.0.0.1', method: 'POST', headers: { 'Content-Type': 'audio/wav', ...headers } }, (res) => {
+            const parts = [];
+            res.on('data', part => parts.push(part));
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(Buffer.concat(parts)) }));
+        });
+        // Соединение закрывается сразу после 413
+        req.on('error', error => error.code === 'EPIPE' || error.code === 'ECONNRESET' ? null : reject(error));
+
+        let sent = 0;
+        const write = () => {
+            while (sent < count && !req.destroyed) {
+                sent++;
+                if (!req.write(chunk)) {
+                    req.once('drain', write);
+                    return;
+                }
+            }
+            req.end();
+        };
+        write();
+    });
+}
+
+test('a body within the limit reaches the handler', async () => {
+    const { statusCode, body } = await post(makeWav(beatTrack(120, 6)), 1);
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.success, true);
+});
+
+test('a body declared larger than the limit is refused before it is read', async () => {
+    const { statusCode, body } = await post(Buffer.alloc(1024), 1, { 'Content-Length': String(MAX_AUDIO_BYTES + 1) });
+
+    assert.equal(statusCode, 413);
+    assert.equal(body.error.code, 'AUDIO_TOO_LARGE');
+});
+
+test('a streamed body without Content-Length is cut off at the limit with 413', async () => {
+    const chunk = Buffer.alloc(1024 * 1024);
+    const { statusCode, body } = await post(chunk, MAX_AUDIO_BYTES / chunk.length + 1);
+
+    assert.equal(statusCode, 413);
+    assert.equal(body.error.code, 'AUDIO_TOO_LARGE');
+    assert.equal(body.error.retryable, false);
+    assert.equal(body.error.details.maxBytes, MAX_AUDIO_BYTES);
+});
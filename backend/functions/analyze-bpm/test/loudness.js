@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureLoudness } from '../lib/loudness.js';
+
+const sampleRate = 48000;
+
+/**
+ * Синус заданной пиковой амплитуды в dBFS
+ */
+function sine(seconds, dbfs, frequency = 1000, phase = 0) {
+    const amplitude = 10 ** (dbfs / 20);
+    return Float32Array.from({ length: seconds * sampleRate }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate + phase));
+}
+
+function concat(...parts) {
+    const result = new Float32Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+test('a stereo 1 kHz sine at -23 dBFS measures -23 LUFS (EBU Tech 3341, case 1)', () => {
+    const signal = sine(20, -23);
+    const loudness = measureLoudness([signal, signal], sampleRate);
+
+    assert.equal(loudness.integratedLufs, -23);
+    assert.equal(loudness.momentaryMaxLufs, -23);
+    assert.equal(loudness.shortTermMaxLufs, -23);
+    assert.equal(loudness.loudnessRangeLu, 0);
+});
+
+test('the same sine at 44.1 kHz and in mono is measured consistently', () => {
+    const samples = Float32Array.from({ length: 20 * 44100 }, (_, i) => 10 ** (-23 / 20) * Math.sin(2 * Math.PI * 1000 * i / 44100));
+
+    assert.equal(measureLoudness([samples, samples], 44100).integratedLufs, -23);
+    // Один канал вместо двух одинаковых — на 3 LU тише
+    assert.equal(measureLoudness([samples], 44100).integratedLufs, -26);
+});
+
+test('quiet passages below the relative gate do not pull integrated loudness down (EBU Tech 3341, case 3)', () => {
+    const signal = concat(sine(10, -36), sine(60, -23), sine(10, -36));
+
+    assert.equal(measureLoudness([signal, signal], sampleRate).integratedLufs, -23);
+});
+
+test('alternating -20 and -30 dBFS gives a loudness range of 10 LU (EBU Tech 3342, case 1)', () => {
+    const signal = concat(sine(20, -20), sine(20, -30));
+    const loudness = measureLoudness([signal, signal], sampleRate);
+
+    assert.ok(Math.abs(loudness.loudnessRangeLu - 10) <= 1, `LRA ${loudness.loudnessRangeLu}`);
+    assert.equal(loudness.shortTermMaxLufs, -20);
+});
+
+test('true peak finds the inter-sample peak that sample peak misses', () => {
+    // fs/4 со сдвигом 45°: все отсчёты на ±0,707, а сама волна доходит до 1,0
+    const signal = sine(5, 0, sampleRate / 4, Math.PI / 4);
+    const samplePeak = signal.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+
+    assert.ok(20 * Math.log10(samplePeak) < -2.9);
+    assert.ok(Math.abs(measureLoudness([signal, signal], sampleRate).truePeakDbtp) <= 0.2);
+});
+
+test('digital silence has no loudness', () => {
+    const loudness = measureLoudness([new Float32Array(5 * sampleRate)], sampleRate);
+
+    assert.equal(loudness.integratedLufs, null);
+    assert.equal(loudness.truePeakDbtp, null);
+    assert.equal(loudness.loudnessRangeLu, 0);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessQuality } from '../lib/quality.js';
+
+const sampleRate = 44100;
+const length = 4 * sampleRate;
+
+/**
+ * Белый шум без постоянной составляющей, с фиксированным зерном
+ */
+function noise(seed, amplitude = 0.3) {
+    const samples = Float32Array.from({ length }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return amplitude * (2 * seed / 2147483648 - 1);
+    });
+    const mean = samples.reduce((sum, sample) => sum + sample, 0) / length;
+    return samples.map(sample => sample - mean);
+}
+
+// Почти одинаковые каналы: нормальное стерео с полной полосой
+const left = noise(7);
+const other = noise(11);
+const right = left.map((sample, i) => 0.9 * sample + 0.1 * other[i]);
+
+test('full-band, centred, in-phase audio passes every check', () => {
+    const quality = assessQuality([left, right], sampleRate);
+
+    assert.equal(quality.verdict, 'pass');
+    assert.deepEqual(quality.issues, []);
+    assert.equal(quality.clipping.clipRuns, 0);
+    assert.equal(quality.bandwidth.cutoffHz, sampleRate / 2);
+    assert.ok(quality.stereo.correlation > 0.9);
+});
+
+test('a clipped buffer fails with its flat-topped runs counted', () => {
+    const clip = channel => channel.map(sample => Math.max(-1, Math.min(1, 4 * sample)));
+    const quality = assessQuality([clip(left), clip(right)], sampleRate);
+
+    assert.equal(quality.verdict, 'fail');
+    assert.equal(quality.clipping.verdict, 'fail');
+    assert.ok(quality.clipping.clipRuns > 100);
+    assert.ok(quality.clipping.longestRun >= 3);
+    assert.equal(quality.clipping.peakDbfs, 0);
+});
+
+test('one flat top is a warning and isolated full-scale peaks are not clipping', () => {
+    const once = Float32Array.from(left);
+    once.fill(1, sampleRate, sampleRate + 5);
+    const clipping = assessQuality([once, right], sampleRate).clipping;
+
+    assert.equal(clipping.verdict, 'warn');
+    assert.equal(clipping.clipRuns, 1);
+    assert.equal(clipping.longestRun, 5);
+
+    const peaks = Float32Array.from(left);
+    peaks[sampleRate] = 1;
+    peaks[2 * sampleRate] = -1;
+    assert.equal(assessQuality([peaks, right], sampleRate).clipping.verdict, 'pass');
+});
+
+test('a DC offset is measured per channel and graded by size', () => {
+    const small = assessQuality([left.map(sample => sample + 0.01), right], sampleRate).dcOffset;
+    assert.equal(small.verdict, 'warn');
+    assert.equal(small.channels[0], 0.01);
+    assert.ok(Math.abs(small.channels[1]) < 1e-4);
+    assert.equal(small.maxDbfs, -40);
+
+    const large = assessQuality([left, right.map(sample => sample - 0.03)], sampleRate);
+    assert.equal(large.verdict, 'fail');
+    assert.deepEqual(large.issues.map(issue => issue.check), ['dcOffset']);
+    assert.equal(large.dcOffset.channels[1], -0.03);
+});
+
+test('a polarity-inverted channel fails the stereo check', () => {
+    const stereo = assessQuality([left, left.map(sample => -sample)], sampleRate).stereo;
+
+    assert.equal(stereo.verdict, 'fail');
+    assert.equal(stereo.correlation, -1);
+    assert.equal(stereo.negativeShare, 1);
+    assert.equal(stereo.monoLossDb, 96);
+});
+
+test('identical channels are dual mono and a single channel skips the stereo check', () => {
+    assert.equal(assessQuality([left, left], sampleRate).stereo.dualMono, true);
+    assert.equal(assessQuality([left, right], sampleRate).stereo.dualMono, false);
+
+    const mono = assessQuality([left], sampleRate).stereo;
+    assert.equal(mono.verdict, 'pass');
+    assert.equal(mono.channels, 1);
+});
+
+test('a band ending at 16 kHz reads as 128 kbps MP3 and a WAV of it as transcoded', () => {
+    // Сумма тонов до 15,9 кГц, выше — ничего
+    const frequencies = Array.from({ length: 200 }, (_, k) => 50 + k * 79.5);
+    const band = Float32Array.from({ length }, (_, i) => frequencies.reduce(
+        (sum, frequency, k) => sum + Math.sin(2 * Math.PI * frequency * i / sampleRate + k),
+        0
+    ) * 0.02);
+
+    const asWav = assessQuality([band], sampleRate, { format: 'wav', byteLength: 2 * length + 44, duration: 4 }).bandwidth;
+    assert.equal(asWav.verdict, 'fail');
+    assert.ok(Math.abs(asWav.cutoffHz - 16000) <= 200, `${asWav.cutoffHz} Hz`);
+    assert.equal(asWav.estimatedBitrateKbps, 128);
+    assert.equal(asWav.transcoded, true);
+
+    const asMp3 = assessQuality([band], sampleRate, { format: 'mp3', byteLength: 64000, duration: 4 }).bandwidth;
+    assert.equal(asMp3.fileBitrateKbps, 128);
+    assert.equal(asMp3.transcoded, false);
+});
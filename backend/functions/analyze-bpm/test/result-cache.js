@@ -0,0 +1,169 @@
+import { test, mock, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createHash, createHmac } from 'node:crypto';
+import { mkdtemp, readdir, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { makeWav, beatTrack, uploadEvent } from './fixtures/audio.js';
+import { createResultCache, contentHash, cacheKey, cacheEntry, currentAnalysis } from '../lib/result-cache.js';
+import { ALGORITHM_VERSION, RESULTS_SCHEMA_VERSION } from '../lib/version.js';
+
+// Обработчик читает окружение кэша при импорте
+const cacheDir = await mkdtemp(join(tmpdir(), 'flux-cache-test-'));
+process.env.ANALYSIS_CACHE_DIR = cacheDir;
+delete process.env.ANALYSIS_CACHE;
+delete process.env.ANALYSIS_CACHE_BUCKET;
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const { handler } = await import('../index.js');
+
+after(() => rm(cacheDir, { recursive: true, force: true }));
+
+const sha256 = data => createHash('sha256').update(data).digest('hex');
+
+test('content hashes are SHA-256 of the bytes', () => {
+    assert.equal(contentHash(Buffer.from('abc')), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    assert.notEqual(contentHash(Buffer.from('abd')), contentHash(Buffer.from('abc')));
+});
+
+test('cache keys separate algorithm versions and output variants', () => {
+    const hash = contentHash(Buffer.from('abc'));
+
+    assert.equal(cacheKey(hash, 'accurate-auto'), `${ALGORITHM_VERSION}/accurate-auto/${hash}.json`);
+    assert.notEqual(cacheKey(hash, 'fast-auto'), cacheKey(hash, 'accurate-auto'));
+});
+
+test('entries of another algorithm or schema version are stale', () => {
+    const analysis = { bpm: 128, schemaVersion: RESULTS_SCHEMA_VERSION };
+
+    assert.deepEqual(currentAnalysis(cacheEntry(analysis)), analysis);
+    assert.equal(currentAnalysis({ ...cacheEntry(analysis), version: '0.0.1' }), null);
+    assert.equal(currentAnalysis(cacheEntry({ ...analysis, schemaVersion: RESULTS_SCHEMA_VERSION - 1 })), null);
+    assert.equal(currentAnalysis(cacheEntry({ bpm: 128 })), null);
+    assert.equal(currentAnalysis(null), null);
+});
+
+test('the store follows the environment', () => {
+    assert.equal(createResultCache({ ANALYSIS_CACHE: 'off' }), null);
+    assert.equal(createResultCache({ ANALYSIS_CACHE_DIR: cacheDir }).kind, 'file');
+    assert.equal(createResultCache({ ANALYSIS_CACHE_BUCKET: 'bucket' }).kind, 'object-storage');
+});
+
+test('the file store misses, then returns what was written', async () => {
+    const cache = createResultCache({ ANALYSIS_CACHE_DIR: join(cacheDir, 'unit') });
+
+    assert.equal(await cache.get('1.0.0/accurate/abc.json'), null);
+
+    await cache.set('1.0.0/accurate/abc.json', { bpm: 120 });
+    assert.deepEqual(await cache.get('1.0.0/accurate/abc.json'), { bpm: 120 });
+    // Запись идёт через временный файл, который переименовывается
+    assert.deepEqual(await readdir(join(cacheDir, 'unit', '1.0.0', 'accurate')), ['abc.json']);
+});
+
+test('the object store signs requests with AWS Signature V4', async () => {
+    const objects = new Map();
+    const secretAccessKey = 'secret';
+
+    const storage = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const amzDate = req.headers['x-amz-date'];
+            const date = amzDate.slice(0, 8);
+            const canonicalRequest = [
+                req.method,
+                req.url,
+                '',
+                `host:${req.headers.host}\nx-amz-content-sha256:${sha256(body)}\nx-amz-date:${amzDate}\n`,
+                'host;x-amz-content-sha256;x-amz-date',
+                sha256(body)
+            ].join('\n');
+            const scope = `${date}/ru-central1/s3/aws4_request`;
+            const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+            let key = `AWS4${secretAccessKey}`;
+            for (const part of [date, 'ru-central1', 's3', 'aws4_request']) {
+                key = createHmac('sha256', key).update(part).digest();
+            }
+            const signature = createHmac('sha256', key).update(stringToSign).digest('hex');
+            const expected = `AWS4-HMAC-SHA256 Credential=key-id/${scope}, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=${signature}`;
+
+            if (req.headers.authorization !== expected || req.headers['x-amz-content-sha256'] !== sha256(body)) {
+                res.writeHead(403);
+                res.end();
+            } else if (req.method === 'PUT') {
+                objects.set(req.url, body.toString());
+                res.writeHead(200);
+                res.end();
+            } else if (objects.has(req.url)) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(objects.get(req.url));
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+    });
+    await new Promise(resolve => storage.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const cache = createResultCache({
+            ANALYSIS_CACHE_BUCKET: 'bucket',
+            ANALYSIS_CACHE_ENDPOINT: `http://127.0.0.1:${storage.address().port}`,
+            AWS_ACCESS_KEY_ID: 'key-id',
+            AWS_SECRET_ACCESS_KEY: secretAccessKey
+        });
+
+        assert.equal(await cache.get('1.0.0/accurate/abc.json'), null);
+
+        await cache.set('1.0.0/accurate/abc.json', { bpm: 120 });
+        assert.deepEqual([...objects.keys()], ['/bucket/1.0.0/accurate/abc.json']);
+        assert.deepEqual(await cache.get('1.0.0/accurate/abc.json'), { bpm: 120 });
+
+        const wrongKey = createResultCache({
+            ANALYSIS_CACHE_BUCKET: 'bucket',
+            ANALYSIS_CACHE_ENDPOINT: `http://127.0.0.1:${storage.address().port}`,
+            AWS_ACCESS_KEY_ID: 'key-id',
+            AWS_SECRET_ACCESS_KEY: 'wrong'
+        });
+        await assert.rejects(wrongKey.get('1.0.0/accurate/abc.json'), /HTTP 403/);
+    } finally {
+        storage.close();
+    }
+});
+
+test('the handler misses, hits, bypasses on refresh and recomputes stale entries', async () => {
+    const wav = makeWav(beatTrack(120, 6));
+    const analyze = async (query) => {
+        const response = await handler({ ...uploadEvent(wav), queryStringParameters: query }, { requestId: 'test' });
+        return { cache: response.headers['X-Cache'], body: JSON.parse(response.body) };
+    };
+
+    const first = await analyze({});
+    assert.equal(first.cache, 'MISS');
+
+    const second = await analyze({});
+    assert.equal(second.cache, 'HIT');
+    assert.equal(second.body.data.bpm, first.body.data.bpm);
+
+    assert.equal((await analyze({ refresh: 'true' })).cache, 'BYPASS');
+
+    // Другой вариант вывода — другой ключ
+    assert.equal((await analyze({ algorithm: 'fast' })).cache, 'MISS');
+
+    // Запись старой схемы не отдаётся, а пересчитывается и перезаписывается
+    const variantDir = join(cacheDir, ALGORITHM_VERSION, 'accurate-auto');
+    const [name] = await readdir(variantDir);
+    const file = join(variantDir, name);
+    assert.equal(name, `${contentHash(wav)}.json`);
+
+    const entry = JSON.parse(await readFile(file, 'utf8'));
+    entry.analysis.schemaVersion = RESULTS_SCHEMA_VERSION - 1;
+    await writeFile(file, JSON.stringify(entry));
+
+    assert.equal((await analyze({})).cache, 'MISS');
+    assert.equal(JSON.parse(await readFile(file, 'utf8')).analysis.schemaVersion, RESULTS_SCHEMA_VERSION);
+    assert.equal((await analyze({})).cache, 'HIT');
+});
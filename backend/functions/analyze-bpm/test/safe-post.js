@@ -0,0 +1,62 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { safePost, SafeFetchError } from 'flux-shared/safe-fetch.js';
+
+// Локальный приёмник колбэков: отвечает статусом из пути запроса
+const received = [];
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+
+        if (req.url === '/redirect') {
+            res.writeHead(302, { Location: '/target' });
+        } else {
+            res.writeHead(204);
+        }
+        res.end();
+    });
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+after(() => server.close());
+
+test('posts the body and headers to an allowed address', async () => {
+    received.length = 0;
+    const body = JSON.stringify({ event: 'job.finished' });
+
+    const response = await safePost(`${base}/hook`, body, {
+        headers: { 'Content-Type': 'application/json', 'X-Flux-Job-ID': 'job-1' },
+        allowPrivateNetworks: true
+    });
+
+    assert.equal(response.status, 204);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].method, 'POST');
+    assert.equal(received[0].headers['x-flux-job-id'], 'job-1');
+    assert.equal(received[0].body, body);
+});
+
+test('does not follow redirects', async () => {
+    received.length = 0;
+
+    const response = await safePost(`${base}/redirect`, '{}', { allowPrivateNetworks: true });
+
+    assert.equal(response.status, 302);
+    assert.deepEqual(received.map(request => request.url), ['/redirect']);
+});
+
+test('refuses loopback and private addresses by default', async () => {
+    received.length = 0;
+
+    await assert.rejects(safePost(`${base}/hook`, '{}'), (error) => {
+        assert.ok(error instanceof SafeFetchError);
+        assert.equal(error.code, 'AUDIO_URL_BLOCKED');
+        return true;
+    });
+    assert.equal(received.length, 0);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectSilence, firstBeatOffset } from '../lib/silence.js';
+
+const onset = { frameRate: 100, timeOffset: 0 };
+
+test('silence covering the whole track has no audible range', () => {
+    const silence = detectSilence([new Float32Array(44100 * 2)], 44100);
+
+    assert.equal(silence.silent, true);
+    assert.equal(silence.firstAudibleTime, null);
+    assert.equal(silence.playableDuration, 0);
+});
+
+test('no first beat is invented without audible content', () => {
+    const silence = detectSilence([new Float32Array(44100 * 2)], 44100);
+
+    assert.equal(firstBeatOffset(onset, [10, 60, 110], silence), null);
+});
+
+test('the first beat is the first one at or after the first audible sample', () => {
+    const samples = new Float32Array(44100 * 2);
+    samples.fill(0.5, 44100);
+    const silence = detectSilence([samples], 44100);
+
+    assert.equal(silence.firstAudibleTime, 1);
+    assert.equal(firstBeatOffset(onset, [10, 60, 110, 160], silence), 1.1);
+});
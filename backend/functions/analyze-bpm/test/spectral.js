@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureSpectrum } from '../lib/spectral.js';
+
+const sampleRate = 22050;
+const length = 3 * sampleRate;
+
+function sine(frequency) {
+    return Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+/**
+ * Белый шум с фиксированным зерном
+ */
+function whiteNoise() {
+    let seed = 1;
+    return Float32Array.from({ length }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return 0.5 * (2 * seed / 2147483648 - 1);
+    });
+}
+
+function near(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+function pick({ bass, mid, high }) {
+    return { bass, mid, high };
+}
+
+test('a pure tone has its frequency as centroid and rolloff and no flatness', () => {
+    for (const frequency of [100, 1000, 6000]) {
+        const spectrum = measureSpectrum(sine(frequency), sampleRate);
+
+        near(spectrum.centroid.mean, frequency, 1);
+        near(spectrum.rolloff.mean, frequency, 2 * sampleRate / spectrum.frameSize);
+        assert.equal(spectrum.flatness.mean, 0);
+    }
+});
+
+test('a pure tone puts all its energy in its own band', () => {
+    assert.deepEqual(pick(measureSpectrum(sine(100), sampleRate).bandEnergy), { bass: 1, mid: 0, high: 0 });
+    assert.deepEqual(pick(measureSpectrum(sine(1000), sampleRate).bandEnergy), { bass: 0, mid: 1, high: 0 });
+    assert.deepEqual(pick(measureSpectrum(sine(6000), sampleRate).bandEnergy), { bass: 0, mid: 0, high: 1 });
+});
+
+test('white noise matches the flat-spectrum answers', () => {
+    const nyquist = sampleRate / 2;
+    const spectrum = measureSpectrum(whiteNoise(), sampleRate);
+
+    near(spectrum.centroid.mean, nyquist / 2, 150);
+    near(spectrum.rolloff.mean, 0.85 * nyquist, 150);
+    // Спектральная плоскость периодограммы белого шума стремится к e^(-γ) ≈ 0,56
+    near(spectrum.flatness.mean, Math.exp(-0.5772), 0.03);
+
+    near(spectrum.bandEnergy.bass, 250 / nyquist, 0.01);
+    near(spectrum.bandEnergy.mid, (4000 - 250) / nyquist, 0.02);
+    near(spectrum.bandEnergy.high, (nyquist - 4000) / nyquist, 0.02);
+});
+
+test('silent frames are left out of the averages', () => {
+    const tone = sine(1000);
+    const halfSilent = new Float32Array(2 * length);
+    halfSilent.set(tone, length);
+
+    const spectrum = measureSpectrum(halfSilent, sampleRate);
+
+    assert.ok(spectrum.frames < measureSpectrum(new Float32Array(2 * length).fill(0.1), sampleRate).frames);
+    near(spectrum.centroid.mean, 1000, 1);
+    // Разброс даёт только кадр на стыке тишины и тона
+    assert.ok(spectrum.centroid.std < 5);
+});
+
+test('silence has no descriptors', () => {
+    const spectrum = measureSpectrum(new Float32Array(length), sampleRate);
+
+    assert.equal(spectrum.frames, 0);
+    assert.equal(spectrum.centroid.mean, null);
+    assert.equal(spectrum.bandEnergy.bass, null);
+    assert.ok(spectrum.mfcc.mean.every(value => value === null));
+});
+
+test('a larger hop analyses fewer frames with the same summary', () => {
+    const signal = sine(1000);
+    const dense = measureSpectrum(signal, sampleRate);
+    const sparse = measureSpectrum(signal, sampleRate, { hopSize: 4096 });
+
+    assert.equal(sparse.hopSize, 4096);
+    assert.ok(sparse.frames < dense.frames / 3);
+    assert.equal(sparse.centroid.mean, dense.centroid.mean);
+    assert.equal(sparse.mfcc.mean.length, 13);
+});
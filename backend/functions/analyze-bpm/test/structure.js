@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectStructure } from '../lib/structure.js';
+
+const BAR_SECONDS = 2;
+
+// Признаки такта: громкость и бас в дБFS, средняя онсетная огибающая
+const quiet = () => ({ loudness: -28, bass: -40, onsets: 0.1 });
+const loud = () => ({ loudness: -8, bass: -12, onsets: 0.6 });
+const sparse = () => ({ loudness: -20, bass: -38, onsets: 0.02 });
+const rising = progress => ({ loudness: -24 + 14 * progress, bass: -30, onsets: 0.3 + 0.3 * progress });
+
+/**
+ * Такты из частей `[число тактов, признаки(доля пройденной части)]`
+ */
+function bars(...parts) {
+    const result = [];
+    for (const [count, features] of parts) {
+        for (let i = 0; i < count; i++) {
+            const index = result.length;
+            result.push({ start: index * BAR_SECONDS, end: (index + 1) * BAR_SECONDS, ...features(i / count) });
+        }
+    }
+    return result;
+}
+
+function labels(structure) {
+    return structure.sections.map(section => `${section.label}@${section.startBar}`);
+}
+
+test('a track shorter than 16 bars is one unlabelled section, not a drop', () => {
+    const short = bars([10, loud]);
+    const structure = detectStructure(short, 21);
+
+    assert.deepEqual(labels(structure), ['track@1']);
+    assert.equal(structure.sections[0].start, 0);
+    assert.equal(structure.sections[0].end, 21);
+    assert.equal(structure.sections[0].bars, 10);
+    assert.deepEqual(structure.cues.mixIn, { time: 0, bar: 1 });
+});
+
+test('no bars give no sections and no cues', () => {
+    assert.deepEqual(detectStructure([], 3), { sections: [], cues: { mixIn: null, mixOut: null } });
+});
+
+test('quiet edges around a loud middle are intro, drop and outro', () => {
+    const structure = detectStructure(bars([16, quiet], [16, loud], [16, quiet]), 96);
+
+    assert.deepEqual(labels(structure), ['intro@1', 'drop@17', 'outro@33']);
+    assert.deepEqual(structure.sections.map(section => section.energy), [0, 1, 0]);
+    assert.deepEqual(structure.cues.mixOut, { time: 64, bar: 33 });
+});
+
+test('a sparse section between drops is a breakdown', () => {
+    const structure = detectStructure(bars([16, quiet], [16, loud], [16, sparse], [16, loud], [16, quiet]), 160);
+
+    assert.deepEqual(labels(structure), ['intro@1', 'drop@17', 'breakdown@33', 'drop@49', 'outro@65']);
+});
+
+test('a section rising into a drop is a build', () => {
+    const structure = detectStructure(bars([16, quiet], [16, loud], [16, sparse], [16, rising], [16, loud], [16, quiet]), 192);
+
+    assert.deepEqual(labels(structure), ['intro@1', 'drop@17', 'breakdown@33', 'build@49', 'drop@65', 'outro@81']);
+});
+
+test('a track with the same level throughout is not split', () => {
+    const structure = detectStructure(bars([48, loud]), 96);
+
+    assert.equal(structure.sections.length, 1);
+    // Без аутро точка выхода — за 16 тактов до конца
+    assert.deepEqual(structure.cues.mixOut, { time: 64, bar: 33 });
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clickTrack } from './fixtures/audio.js';
+import { onsetEnvelope, detectTempo } from '../lib/tempo.js';
+import { trackBeats } from '../lib/beats.js';
+import { buildTempoMap } from '../lib/tempo-map.js';
+
+const sampleRate = 22050;
+
+/**
+ * Карта темпа через те же шаги, что и в обработчике
+ */
+function tempoMapOf(signal) {
+    const onset = onsetEnvelope(signal, sampleRate, { frameSize: 1024, hopSize: 256 });
+    const tempo = detectTempo(onset);
+    const beats = trackBeats(onset.envelope, tempo.period, onset.bassEnvelope);
+
+    return buildTempoMap(onset, tempo, beats, signal.length / sampleRate);
+}
+
+test('a steady click track is one steady segment', () => {
+    const map = tempoMapOf(clickTrack(() => 128, 60));
+
+    assert.equal(map.variation.kind, 'steady');
+    assert.equal(map.segments.length, 1);
+    assert.ok(Math.abs(map.segments[0].bpm - 128) <= 0.5, `${map.segments[0].bpm} BPM`);
+    assert.ok(map.stability > 0.95);
+});
+
+test('a click track ramping from 120 to 132 BPM is a ramp that follows the tempo', () => {
+    const map = tempoMapOf(clickTrack(time => 120 + 12 * time / 60, 60));
+    const bpms = map.segments.map(segment => segment.bpm);
+
+    assert.equal(map.variation.kind, 'ramp');
+    assert.ok(map.segments.length >= 3);
+    assert.deepEqual(bpms, [...bpms].sort((a, b) => a - b), 'segments speed up monotonically');
+    // Окна по 8 с: крайние сегменты видят темп в 4 с от начала и конца
+    assert.ok(Math.abs(bpms[0] - 121) <= 1.5, `first segment ${bpms[0]} BPM`);
+    assert.ok(Math.abs(bpms[bpms.length - 1] - 130) <= 1.5, `last segment ${bpms[bpms.length - 1]} BPM`);
+    assert.ok(map.variation.driftBpm > 6);
+    assert.ok(map.stability < 0.5);
+});
+
+test('a single tempo change is two segments split near the change', () => {
+    const map = tempoMapOf(clickTrack(time => (time < 30 ? 120 : 130), 60));
+
+    assert.equal(map.variation.kind, 'variable');
+    assert.equal(map.segments.length, 2);
+    assert.ok(Math.abs(map.segments[0].bpm - 120) <= 0.5);
+    assert.ok(Math.abs(map.segments[1].bpm - 130) <= 0.5);
+    assert.ok(Math.abs(map.segments[1].start - 30) <= 4, `change at ${map.segments[1].start} s`);
+});
+
+test('clicks played around a steady tempo are live, not variable', () => {
+    const map = tempoMapOf(clickTrack(() => 110, 60, sampleRate, 0.012));
+
+    assert.equal(map.variation.kind, 'live');
+    assert.ok(map.variation.beatJitter >= 0.02);
+    assert.ok(Math.abs(map.variation.driftBpm) < 1);
+});
+
+test('a track too short for two windows gets a steady map over its whole length', () => {
+    const map = tempoMapOf(clickTrack(time => 120 + time, 10));
+
+    assert.equal(map.variation.kind, 'steady');
+    assert.deepEqual(map.segments.map(({ start, end }) => [start, end]), [[0, 10]]);
+});
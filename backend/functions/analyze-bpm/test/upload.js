@@ -0,0 +1,32 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeWav, beatTrack, uploadEvent } from './fixtures/audio.js';
+
+process.env.ANALYSIS_CACHE = 'off';
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const { handler } = await import('../index.js');
+
+async function analyze(event) {
+    const response = await handler(event, { requestId: 'test' });
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const wav = makeWav(beatTrack(120, 6));
+
+test('the file name header is URI-decoded', async () => {
+    const { statusCode, body } = await analyze(uploadEvent(wav, 'audio/wav', {
+        'X-File-Name': encodeURIComponent('Трек №1.wav')
+    }));
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.metadata.fileName, 'Трек №1.wav');
+});
+
+test('a malformed file name header keeps its raw value instead of failing the upload', async () => {
+    const { statusCode, body } = await analyze(uploadEvent(wav, 'audio/wav', { 'X-File-Name': '%E0%A4%A' }));
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.metadata.fileName, '%E0%A4%A');
+});
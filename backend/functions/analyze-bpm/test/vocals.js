@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { beatTrack } from './fixtures/audio.js';
+import { detectVocals } from '../lib/vocals.js';
+
+const sampleRate = 22050;
+const NOTES = [220, 247, 262, 294, 330, 294, 262, 247];
+
+/**
+ * Выдержанный ля-минорный аккорд: тональные пики, которые не движутся
+ */
+function pad(seconds) {
+    return Float32Array.from({ length: seconds * sampleRate }, (_, i) => {
+        const t = i / sampleRate;
+        return 0.1 * (Math.sin(2 * Math.PI * 220 * t) + Math.sin(2 * Math.PI * 261.63 * t) + Math.sin(2 * Math.PI * 329.63 * t));
+    });
+}
+
+/**
+ * Голосоподобная мелодия: гармонический тон с вибрато, новая нота каждые 0,4 с
+ */
+function melody(seconds) {
+    const samples = new Float32Array(seconds * sampleRate);
+    let phase = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / sampleRate;
+        const frequency = NOTES[Math.floor(t / 0.4) % NOTES.length] * (1 + 0.01 * Math.sin(2 * Math.PI * 5.5 * t));
+        phase += 2 * Math.PI * frequency / sampleRate;
+
+        let value = 0;
+        for (let harmonic = 1; harmonic <= 8; harmonic++) {
+            value += Math.sin(harmonic * phase) / harmonic;
+        }
+        samples[i] = 0.2 * value;
+    }
+
+    return samples;
+}
+
+function overlay(base, part, atSeconds) {
+    const result = Float32Array.from(base);
+    const offset = atSeconds * sampleRate;
+    for (let i = 0; i < part.length && offset + i < result.length; i++) {
+        result[offset + i] += part[i];
+    }
+    return result;
+}
+
+test('a sustained chord and a drum loop have no vocals', () => {
+    for (const signal of [pad(20), beatTrack(128, 20, sampleRate)]) {
+        const vocals = detectVocals(signal, sampleRate, []);
+
+        assert.equal(vocals.present, false);
+        assert.equal(vocals.coverage, 0);
+        assert.deepEqual(vocals.sections, []);
+    }
+});
+
+test('a moving melody over a pad is found where it plays', () => {
+    const vocals = detectVocals(overlay(pad(30), melody(10), 10), sampleRate, []);
+
+    assert.equal(vocals.present, true);
+    assert.deepEqual(vocals.sections.map(({ start, end }) => [start, end]), [[10, 20]]);
+    assert.equal(vocals.coverage, 0.333);
+    assert.ok(vocals.confidence >= 0.5);
+});
+
+test('a melody over drums is found where it plays', () => {
+    const vocals = detectVocals(overlay(beatTrack(128, 30, sampleRate), melody(10), 10), sampleRate, []);
+
+    assert.deepEqual(vocals.sections.map(({ start, end }) => [start, end]), [[10, 20]]);
+});
+
+test('sections follow the bar grid when there is one', () => {
+    const bars = Array.from({ length: 15 }, (_, i) => ({ start: i * 2, end: (i + 1) * 2 }));
+    const vocals = detectVocals(overlay(pad(30), melody(10), 10), sampleRate, bars);
+
+    assert.deepEqual(vocals.sections.map(({ startBar, bars }) => [startBar, bars]), [[6, 5]]);
+});
+
+test('a short phrase is not enough to call a track vocal', () => {
+    const vocals = detectVocals(overlay(pad(20), melody(2), 10), sampleRate, []);
+
+    assert.equal(vocals.present, false);
+    assert.deepEqual(vocals.sections, []);
+});
+
+test('silence has no vocals', () => {
+    const vocals = detectVocals(new Float32Array(10 * sampleRate), sampleRate, []);
+
+    assert.equal(vocals.present, false);
+    assert.equal(vocals.confidence, 1);
+});
@@ -33,8 +33,8 @@ resource "yandex_function" "analyze-bpm" {
   name               = "analyze-bpm"
   runtime            = "nodejs16"
   entrypoint         = "index.handler"
-  memory             = "128"
-  execution_timeout  = "10"
+  memory             = "1024"
+  execution_timeout  = "300"
   service_account_id = yandex_iam_service_account.flux-sa.id
   folder_id          = var.folder_id
   
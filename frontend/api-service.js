@@ -7,6 +7,8 @@ class FluxApiService {
     constructor(config = null) {
         // Configuration
         this.config = config || window.FLUX_CONFIG || FLUX_CONFIG;
+        this.musicTheory = window.FluxMusicTheory || FluxMusicTheory;
+        this.errors = window.FluxErrors || FluxErrors;
         
         // State
         this.cache = new Map();
@@ -38,14 +40,14 @@ class FluxApiService {
     async analyzeAudio(url, options = {}) {
         // Validate input
         if (!this.config.validateAudioUrl(url)) {
-            throw new Error(this.config.ERRORS.INVALID_URL);
+            throw new this.errors.FluxError('AUDIO_URL_INVALID');
         }
         
-        // Check cache first
-        const cacheKey = this._generateCacheKey('analyze', url);
+        // Check cache first (waveform data is cached separately, it is much larger)
+        const cacheKey = this._generateCacheKey(this._analysisCacheType('analyze', options), url);
         const cached = this._getFromCache(cacheKey);
         
-        if (cached && !options.forceRefresh) {
+        if (cached && !options.forceRefresh && this._isCurrentResult(cached.data)) {
             this.metrics.cacheHits++;
             return this._wrapResponse(cached, true);
         }
@@ -59,22 +61,35 @@ class FluxApiService {
         
         // Create request
         const requestId = this.config.generateId();
-        const requestPromise = this._makeApiRequest({
-            endpoint: this.config.ENDPOINTS.ANALYZE_BPM,
-            method: 'POST',
-            data: {
-                audioUrl: url,
-                requestId,
-                sessionId: this.sessionId,
-                timestamp: new Date().toISOString(),
-                options: {
-                    format: options.format || 'auto',
-                    detailed: options.detailed || false
-                }
-            },
-            timeout: options.timeout || this.config.SETTINGS.TIMEOUT,
-            retry: options.retry !== false
-        });
+        const analysisOptions = {
+            format: options.format || 'auto',
+            detailed: options.detailed || false,
+            waveform: options.waveform || false,
+            waveformBands: options.waveformBands || false,
+            refresh: options.forceRefresh || false,
+            ...(options.algorithm && { algorithm: options.algorithm }),
+            ...(options.profile && { profile: options.profile })
+        };
+        
+        // As a job the result arrives by polling; it is returned in the function's response shape
+        const requestPromise = this.config.FEATURES.ASYNC_JOBS
+            ? this._runJob({
+                data: { audioUrl: url, options: analysisOptions },
+                onProgress: options.onProgress
+            }).then(job => ({ success: true, data: job.result, requestId: job.id, timestamp: job.finishedAt }))
+            : this._makeApiRequest({
+                endpoint: this.config.ENDPOINTS.ANALYZE_BPM,
+                method: 'POST',
+                data: {
+                    audioUrl: url,
+                    requestId,
+                    sessionId: this.sessionId,
+                    timestamp: new Date().toISOString(),
+                    options: analysisOptions
+                },
+                timeout: options.timeout || this.config.SETTINGS.TIMEOUT,
+                retry: options.retry !== false
+            });
         
         // Store pending request
         this.pendingRequests.set(cacheKey, requestPromise);
@@ -126,53 +141,239 @@ class FluxApiService {
         // Validate file
         if (!this.config.validateAudioFile(file)) {
             if (file.size > this.config.SETTINGS.MAX_FILE_SIZE) {
-                throw new Error(this.config.ERRORS.FILE_TOO_LARGE);
+                throw new this.errors.FluxError('AUDIO_TOO_LARGE');
             } else {
-                throw new Error(this.config.ERRORS.UNSUPPORTED_FORMAT);
+                throw new this.errors.FluxError('UNSUPPORTED_FORMAT');
             }
         }
         
         // Generate file hash for caching
         const fileHash = await this._generateFileHash(file);
-        const cacheKey = this._generateCacheKey('analyze_file', fileHash);
+        const cacheKey = this._generateCacheKey(this._analysisCacheType('analyze_file', options), fileHash);
         
         // Check cache
         const cached = this._getFromCache(cacheKey);
-        if (cached && !options.forceRefresh) {
+        if (cached && !options.forceRefresh && this._isCurrentResult(cached.data?.data)) {
             this.metrics.cacheHits++;
             return this._wrapResponse(cached, true);
         }
         
         this.metrics.cacheMisses++;
         
-        // Create FormData for upload (if backend supports file upload)
-        const formData = new FormData();
-        formData.append('audio', file);
-        formData.append('requestId', this.config.generateId());
-        formData.append('sessionId', this.sessionId);
-        formData.append('timestamp', new Date().toISOString());
-        
-        // For now, use Data URL as fallback
-        // TODO: Implement proper file upload to Yandex Object Storage
-        const dataUrl = await this._fileToDataUrl(file);
-        
-        return this.analyzeAudio(dataUrl, {
-            ...options,
-            metadata: {
+        try {
+            const startTime = performance.now();
+            
+            const params = {
+                format: options.format || 'auto',
+                detailed: Boolean(options.detailed),
+                waveform: Boolean(options.waveform),
+                waveformBands: Boolean(options.waveformBands),
+                refresh: Boolean(options.forceRefresh),
+                ...(options.algorithm && { algorithm: options.algorithm }),
+                ...(options.profile && { profile: options.profile })
+            };
+            
+            // Upload the file itself as the request body, either as a job or synchronously
+            const response = this.config.FEATURES.ASYNC_JOBS
+                ? await this._runJob({ file, params, onProgress: options.onProgress })
+                    .then(job => ({
+                        success: true,
+                        data: { success: true, data: job.result },
+                        metadata: { requestId: job.id, timestamp: job.finishedAt }
+                    }))
+                : await this._uploadFile({
+                    endpoint: this.config.ENDPOINTS.ANALYZE_UPLOAD,
+                    file,
+                    params,
+                    timeout: options.timeout || this.config.SETTINGS.TIMEOUT,
+                    onProgress: options.onProgress
+                });
+            
+            const responseTime = performance.now() - startTime;
+            this._updateMetrics(responseTime, true);
+            
+            this._addToCache(cacheKey, response, this.config.SETTINGS.CACHE_TTL);
+            
+            this._addToHistory({
+                type: 'analyze_file',
                 fileName: file.name,
                 fileSize: file.size,
-                fileType: file.type,
-                originalSource: 'file'
+                result: response,
+                timestamp: new Date().toISOString(),
+                responseTime
+            });
+            
+            return this._wrapResponse(response, false);
+            
+        } catch (error) {
+            this._updateMetrics(0, false);
+            this._logError('analyzeAudioFile', error, { fileName: file.name, fileSize: file.size });
+            
+            throw error;
+        }
+    }
+
+    /**
+     * Analyze many tracks through the server batch endpoint.
+     * sources: URLs and/or File objects, or { id, url } / { id, file } to keep your own ids.
+     * A failing track never rejects the batch; every item reports its own data or error
+     * ({ code, status, retryable, message } as in shared/errors.js).
+     * onProgress receives { completed, total, succeeded, failed } after each request.
+     */
+    async analyzeBatch(sources, options = {}) {
+        const settings = this.config.SETTINGS;
+        const startTime = performance.now();
+        
+        const items = sources.map((source, index) => {
+            const entry = typeof source === 'string' ? { url: source }
+                : source instanceof File ? { file: source }
+                : source;
+            return { index, id: entry.id ?? index, url: entry.url, file: entry.file };
+        });
+        
+        const results = new Array(items.length);
+        const fail = (item, error) => {
+            results[item.index] = { index: item.index, id: item.id, success: false, error };
+        };
+        
+        // Validation and cache lookups happen locally, only the rest goes to the server
+        const pending = [];
+        for (const item of items) {
+            if (item.file) {
+                if (!this.config.validateAudioFile(item.file)) {
+                    fail(item, this.errors.toErrorObject(item.file.size > settings.MAX_FILE_SIZE
+                        ? 'AUDIO_TOO_LARGE'
+                        : 'UNSUPPORTED_FORMAT'));
+                } else {
+                    pending.push(item);
+                }
+                continue;
+            }
+            
+            if (!this.config.validateAudioUrl(item.url)) {
+                fail(item, this.errors.toErrorObject('AUDIO_URL_INVALID'));
+                continue;
+            }
+            
+            item.cacheKey = this._generateCacheKey(this._analysisCacheType('analyze', options), item.url);
+            const cached = !options.forceRefresh && this._getFromCache(item.cacheKey);
+            
+            if (cached && this._isCurrentResult(cached.data)) {
+                this.metrics.cacheHits++;
+                results[item.index] = { index: item.index, id: item.id, success: true, data: cached.data, cached: true };
+            } else {
+                this.metrics.cacheMisses++;
+                pending.push(item);
+            }
+        }
+        
+        const report = () => {
+            const done = results.filter(Boolean);
+            options.onProgress?.({
+                completed: done.length,
+                total: items.length,
+                succeeded: done.filter(result => result.success).length,
+                failed: done.filter(result => !result.success).length
+            });
+        };
+        report();
+        
+        // Split into requests by item count and by upload size
+        const chunks = [];
+        let chunk = [];
+        let chunkBytes = 0;
+        
+        for (const item of pending) {
+            const size = item.file ? item.file.size : 0;
+            if (chunk.length && (chunk.length >= settings.BATCH_MAX_ITEMS || chunkBytes + size > settings.BATCH_MAX_UPLOAD_BYTES)) {
+                chunks.push(chunk);
+                chunk = [];
+                chunkBytes = 0;
+            }
+            chunk.push(item);
+            chunkBytes += size;
+        }
+        if (chunk.length) chunks.push(chunk);
+        
+        for (const batch of chunks) {
+            try {
+                const response = await this._makeApiRequest({
+                    endpoint: this.config.ENDPOINTS.ANALYZE_BATCH,
+                    method: 'POST',
+                    data: {
+                        items: await Promise.all(batch.map(async item => (item.file
+                            ? {
+                                id: item.index,
+                                audioData: await this._fileToBase64(item.file),
+                                fileName: item.file.name,
+                                contentType: item.file.type || 'application/octet-stream'
+                            }
+                            : { id: item.index, audioUrl: item.url }))),
+                        options: {
+                            format: options.format || 'auto',
+                            detailed: options.detailed || false,
+                            ...(options.algorithm && { algorithm: options.algorithm }),
+                            ...(options.profile && { profile: options.profile })
+                        },
+                        concurrency: options.concurrency,
+                        sessionId: this.sessionId
+                    },
+                    timeout: options.timeout || settings.BATCH_TIMEOUT,
+                    retry: false
+                });
+                
+                for (const result of response.data.items) {
+                    const item = items[result.id];
+                    
+                    if (result.success) {
+                        results[item.index] = { index: item.index, id: item.id, success: true, data: result.data, cached: false };
+                        
+                        if (item.cacheKey) {
+                            this._addToCache(item.cacheKey, { success: true, data: result.data }, settings.CACHE_TTL);
+                        }
+                    } else {
+                        fail(item, this.errors.fromBody(result, 500));
+                    }
+                }
+                
+            } catch (error) {
+                this._logError('analyzeBatch', error, { items: batch.length });
+                batch.forEach(item => fail(item, this.errors.toErrorObject(error.code, error)));
             }
+            
+            report();
+        }
+        
+        const succeeded = results.filter(result => result.success).length;
+        const responseTime = performance.now() - startTime;
+        this._updateMetrics(responseTime, succeeded > 0 || !items.length);
+        
+        this._addToHistory({
+            type: 'analyze_batch',
+            total: items.length,
+            succeeded,
+            timestamp: new Date().toISOString(),
+            responseTime
         });
+        
+        return {
+            total: items.length,
+            succeeded,
+            failed: items.length - succeeded,
+            items: results
+        };
     }
 
     /**
      * Get recommendations based on analysis
+     * options.chosenBpm is a tempo picked for a result without a track id (see getSelectedBpm)
      */
     async getRecommendations(analysisData, options = {}) {
+        const previous = options.previous || null;
+        const selectedBpm = this.getSelectedBpm(analysisData, options.chosenBpm);
         const cacheKey = this._generateCacheKey('recommendations', 
-            `${analysisData.bpm}_${analysisData.key}_${analysisData.camelot}`);
+            `${selectedBpm}_${analysisData.key}_${analysisData.camelot}_${analysisData.analyzedAt}` +
+            (previous ? `_after_${previous.analyzedAt}` : ''));
         
         // Check cache
         const cached = this._getFromCache(cacheKey);
@@ -190,6 +391,9 @@ class FluxApiService {
                     method: 'POST',
                     data: {
                         analysis: analysisData,
+                        // analysis.bpm stays the detected tempo; this is the one the user mixes at
+                        selectedBpm,
+                        previousAnalysis: previous,
                         requestId: this.config.generateId(),
                         sessionId: this.sessionId
                     },
@@ -197,7 +401,7 @@ class FluxApiService {
                 });
             } else {
                 // Fallback to local recommendations
-                recommendations = this._generateLocalRecommendations(analysisData);
+                recommendations = this._generateLocalRecommendations(analysisData, previous, selectedBpm);
             }
             
             // Cache recommendations
@@ -208,7 +412,7 @@ class FluxApiService {
         } catch (error) {
             // Fallback to local recommendations on error
             console.warn('API recommendations failed, using local fallback:', error);
-            return this._generateLocalRecommendations(analysisData);
+            return this._generateLocalRecommendations(analysisData, previous, selectedBpm);
         }
     }
 
@@ -249,6 +453,57 @@ class FluxApiService {
         return history.slice(0, limit);
     }
 
+    /**
+     * Stable identity of an analysed track: content hash, else its URL
+     */
+    getTrackId(analysis) {
+        return analysis?.metadata?.audio?.sha256 || analysis?.metadata?.url || null;
+    }
+
+    /**
+     * Tempo to show and mix at: the user's pick while it is still one of the result's
+     * tempo candidates, else the detected BPM. sessionChoice stands in for the stored pick
+     * when the result has no track id.
+     */
+    getSelectedBpm(analysis, sessionChoice = null) {
+        const candidates = analysis.tempoCandidates || [];
+        const saved = this.getTempoChoice(this.getTrackId(analysis))?.bpm ?? sessionChoice;
+        
+        return candidates.some(candidate => candidate.bpm === saved) ? saved : analysis.bpm;
+    }
+
+    /**
+     * Tempo the user picked for a track among the analyzer's candidates (null if none)
+     */
+    getTempoChoice(trackId) {
+        if (!trackId) return null;
+        return this._getTempoChoices()[trackId] || null;
+    }
+
+    /**
+     * Remember the picked tempo for a track; null goes back to the detected tempo
+     */
+    setTempoChoice(trackId, bpm) {
+        if (!trackId) return;
+        
+        const choices = this._getTempoChoices();
+        delete choices[trackId];
+        
+        if (bpm != null) {
+            choices[trackId] = { bpm, chosenAt: new Date().toISOString() };
+        }
+        
+        // Keep only the last 500 choices (oldest first in insertion order)
+        const ids = Object.keys(choices);
+        ids.slice(0, Math.max(0, ids.length - 500)).forEach(id => delete choices[id]);
+        
+        try {
+            localStorage.setItem(this.config.STORAGE_KEYS.TEMPO_CHOICES, JSON.stringify(choices));
+        } catch (error) {
+            console.warn('Failed to save tempo choice:', error);
+        }
+    }
+
     /**
      * Clear cache and history
      */
@@ -280,6 +535,39 @@ class FluxApiService {
         };
     }
 
+    /**
+     * Decode one zoom level of analyzer waveform data into typed arrays
+     * Peaks are signed 8-bit [min, max] pairs; values are scaled back to -1..1
+     */
+    decodeWaveformLevel(waveform, levelIndex = 0) {
+        const level = waveform?.levels?.[levelIndex];
+        if (!level) return null;
+        
+        const decode = (base64) => {
+            const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+            const peaks = new Int8Array(bytes.buffer);
+            const min = new Float32Array(peaks.length / 2);
+            const max = new Float32Array(peaks.length / 2);
+            
+            for (let i = 0; i < min.length; i++) {
+                min[i] = peaks[i * 2] / 127;
+                max[i] = peaks[i * 2 + 1] / 127;
+            }
+            
+            return { min, max };
+        };
+        
+        return {
+            samplesPerPeak: level.samplesPerPeak,
+            peaksPerSecond: level.peaksPerSecond,
+            length: level.length,
+            ...decode(level.data),
+            bands: level.bands
+                ? Object.fromEntries(Object.entries(level.bands).map(([name, data]) => [name, decode(data)]))
+                : null
+        };
+    }
+
     // Private Methods
 
     _setupEventListeners() {
@@ -332,7 +620,7 @@ class FluxApiService {
             try {
                 // Check network connectivity
                 if (!this.isOnline) {
-                    throw new Error(this.config.ERRORS.NETWORK_ERROR);
+                    throw new this.errors.FluxError('NETWORK_ERROR', undefined, { requestId });
                 }
                 
                 const response = await fetch(endpoint, {
@@ -348,41 +636,32 @@ class FluxApiService {
                 
                 // Handle HTTP errors
                 if (!response.ok) {
-                    const errorText = await response.text().catch(() => 'Unknown error');
-                    
-                    // Rate limiting
-                    if (response.status === 429) {
-                        throw new Error(this.config.ERRORS.RATE_LIMITED);
-                    }
-                    
-                    // Server errors
-                    if (response.status >= 500) {
-                        throw new Error(this.config.ERRORS.API_UNAVAILABLE);
-                    }
-                    
-                    throw new Error(`HTTP ${response.status}: ${errorText}`);
+                    throw this._responseError(await response.json().catch(() => null), response.status, requestId);
                 }
                 
                 // Parse response
-                const result = await response.json();
+                const result = await response.json().catch(() => null);
                 
                 // Validate response structure
                 if (!result || typeof result !== 'object') {
-                    throw new Error(this.config.ERRORS.INVALID_RESPONSE);
+                    throw new this.errors.FluxError('INVALID_RESPONSE', undefined, { requestId });
                 }
                 
                 return result;
                 
             } catch (error) {
-                lastError = error;
-                
-                // Don't retry on certain errors
                 if (error.name === 'AbortError') {
-                    throw new Error(this.config.ERRORS.TIMEOUT_ERROR);
+                    throw new this.errors.FluxError('REQUEST_TIMEOUT', undefined, { requestId });
                 }
                 
-                if (error.message === this.config.ERRORS.NETWORK_ERROR) {
-                    throw error;
+                // fetch itself only rejects when the network fails
+                lastError = error instanceof this.errors.FluxError
+                    ? error
+                    : new this.errors.FluxError('NETWORK_ERROR', error.message, { requestId });
+                
+                // Retry only what the error catalogue marks as retryable (timeouts, outages)
+                if (!lastError.retryable || !this.isOnline) {
+                    throw lastError;
                 }
                 
                 // Exponential backoff
@@ -397,6 +676,33 @@ class FluxApiService {
         throw lastError;
     }
 
+    /**
+     * FluxError for a failed response; bodies without an error object get a code from the status
+     */
+    _responseError(body, status, requestId) {
+        const error = this.errors.fromBody(body, status) || this.errors.toErrorObject(this.errors.codeForStatus(status));
+        
+        return new this.errors.FluxError(error.code, error.message, {
+            details: error.details,
+            requestId: body?.requestId || requestId
+        });
+    }
+
+    /**
+     * Cache bucket for an analysis: output variant, algorithm and tempo profile
+     */
+    _analysisCacheType(base, options) {
+        const variant = options.waveformBands ? `${base}_bands` : options.waveform ? `${base}_waveform` : base;
+        return `${variant}_${options.algorithm || 'accurate'}_${options.profile || 'auto'}`;
+    }
+
+    /**
+     * Results cached before an analyzer schema change are treated as misses
+     */
+    _isCurrentResult(analysis) {
+        return analysis?.schemaVersion === this.config.SETTINGS.RESULTS_SCHEMA_VERSION;
+    }
+
     _generateCacheKey(type, identifier) {
         return `${type}:${btoa(identifier).slice(0, 64)}`;
     }
@@ -492,20 +798,147 @@ class FluxApiService {
         }
     }
 
+    _getTempoChoices() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.STORAGE_KEYS.TEMPO_CHOICES) || '{}');
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * SHA-256 of the file contents, so a renamed or re-downloaded copy still hits the cache
+     */
     async _generateFileHash(file) {
-        // Simple hash based on file properties
-        // In production, consider using SHA-256
-        return `${file.name}_${file.size}_${file.lastModified}`.replace(/[^a-z0-9]/gi, '_');
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
     }
 
-    async _fileToDataUrl(file) {
+    /**
+     * Create an analysis job (JSON data or a file upload) and wait for it to finish.
+     * Resolves to the finished job; a failed job rejects with a FluxError carrying its code.
+     */
+    async _runJob({ data, file, params, onProgress }) {
+        const settings = this.config.SETTINGS;
+        
+        const created = file
+            ? await this._uploadFile({
+                endpoint: this.config.ENDPOINTS.JOBS,
+                file,
+                params,
+                timeout: settings.TIMEOUT,
+                onProgress
+            })
+            : await this._makeApiRequest({
+                endpoint: this.config.ENDPOINTS.JOBS,
+                method: 'POST',
+                data,
+                timeout: settings.TIMEOUT,
+                retry: false
+            });
+        
+        const deadline = Date.now() + settings.JOB_TIMEOUT;
+        let interval = settings.JOB_POLL_INTERVAL;
+        let job = created.job;
+        
+        while (job.status === 'queued' || job.status === 'running') {
+            if (Date.now() > deadline) {
+                throw new this.errors.FluxError('REQUEST_TIMEOUT', undefined, { requestId: job.id });
+            }
+            
+            onProgress?.({
+                phase: 'analyzing',
+                loaded: job.progress.completed,
+                total: job.progress.total,
+                percent: job.progress.percent
+            });
+            
+            await new Promise(resolve => setTimeout(resolve, interval));
+            interval = Math.min(settings.JOB_POLL_MAX_INTERVAL, interval * 1.5);
+            
+            const status = await this._makeApiRequest({
+                endpoint: `${this.config.ENDPOINTS.JOBS}/${encodeURIComponent(job.id)}`,
+                method: 'GET',
+                timeout: settings.TIMEOUT
+            });
+            job = status.job;
+        }
+        
+        if (job.status === 'failed') {
+            const { code = 'JOB_FAILED', message, details } = job.error || {};
+            throw new this.errors.FluxError(code, message, { details, requestId: job.id });
+        }
+        
+        return job;
+    }
+
+    _fileToBase64(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+            reader.onerror = () => reject(new this.errors.FluxError('UPLOAD_FAILED'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Send a file as a raw binary body; XHR is used because fetch has no upload progress.
+     * onProgress receives { phase: 'upload' | 'analyzing', loaded, total, percent }
+     */
+    _uploadFile({ endpoint, file, params = {}, timeout, onProgress }) {
+        this.metrics.totalRequests++;
+        
+        const requestId = this.config.generateId();
+        const url = new URL(endpoint, window.location.origin);
+        Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+        
+        return new Promise((resolve, reject) => {
+            if (!this.isOnline) {
+                reject(new this.errors.FluxError('NETWORK_ERROR', undefined, { requestId }));
+                return;
+            }
             
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = () => reject(new Error(this.config.ERRORS.DECODING_ERROR));
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', url);
+            xhr.timeout = timeout;
+            xhr.responseType = 'json';
             
-            reader.readAsDataURL(file);
+            xhr.setRequestHeader('Accept', 'application/json');
+            xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+            xhr.setRequestHeader('X-File-Name', encodeURIComponent(file.name));
+            xhr.setRequestHeader('X-Request-ID', requestId);
+            xhr.setRequestHeader('X-Session-ID', this.sessionId);
+            xhr.setRequestHeader('X-Client-Version', this.config.getBuildInfo().version);
+            
+            xhr.upload.onprogress = (event) => {
+                const total = event.lengthComputable ? event.total : file.size;
+                onProgress?.({
+                    phase: 'upload',
+                    loaded: event.loaded,
+                    total,
+                    percent: total ? Math.min(100, Math.round((event.loaded / total) * 100)) : 0
+                });
+            };
+            
+            // Upload finished, the server is decoding and analyzing now
+            xhr.upload.onload = () => {
+                onProgress?.({ phase: 'analyzing', loaded: file.size, total: file.size, percent: 100 });
+            };
+            
+            xhr.onload = () => {
+                if (xhr.status >= 400) {
+                    reject(this._responseError(xhr.response, xhr.status, requestId));
+                } else if (!xhr.response || typeof xhr.response !== 'object') {
+                    reject(new this.errors.FluxError('INVALID_RESPONSE', undefined, { requestId }));
+                } else {
+                    resolve(xhr.response);
+                }
+            };
+            
+            xhr.onerror = () => reject(new this.errors.FluxError('NETWORK_ERROR', undefined, { requestId }));
+            xhr.ontimeout = () => reject(new this.errors.FluxError('REQUEST_TIMEOUT', undefined, { requestId }));
+            
+            xhr.send(file);
         });
     }
 
@@ -536,6 +969,8 @@ class FluxApiService {
         const errorLog = {
             method,
             error: error.message,
+            code: error.code,
+            requestId: error.requestId,
             stack: error.stack,
             context,
             sessionId: this.sessionId,
@@ -552,23 +987,9 @@ class FluxApiService {
         // }
     }
 
-    _generateLocalRecommendations(analysis) {
-        const camelotWheel = {
-            '8A': ['8A', '7A', '9A', '8B', '7B', '9B'],
-            '8B': ['8B', '7B', '9B', '8A', '7A', '9A'],
-            '9A': ['9A', '8A', '10A', '9B', '8B', '10B'],
-            '9B': ['9B', '8B', '10B', '9A', '8A', '10A'],
-            '10A': ['10A', '9A', '11A', '10B', '9B', '11B'],
-            '10B': ['10B', '9B', '11B', '10A', '9A', '11A'],
-            '11A': ['11A', '10A', '12A', '11B', '10B', '12B'],
-            '11B': ['11B', '10B', '12B', '11A', '10A', '12A'],
-            '12A': ['12A', '11A', '1A', '12B', '11B', '1B'],
-            '12B': ['12B', '11B', '1B', '12A', '11A', '1A'],
-            '1A': ['1A', '12A', '2A', '1B', '12B', '2B'],
-            '1B': ['1B', '12B', '2B', '1A', '12A', '2A']
-        };
-        
-        const compatibleKeys = camelotWheel[analysis.camelot] || [analysis.camelot];
+    _generateLocalRecommendations(analysis, previous = null, bpm = analysis.bpm) {
+        const wheelKeys = this.musicTheory.getCompatibleKeys(analysis.camelot || analysis.key);
+        const compatibleKeys = wheelKeys.length ? wheelKeys : [analysis.camelot];
         
         const energyLevel = analysis.energy > 0.7 ? 'high' : 
                            analysis.energy > 0.4 ? 'medium' : 'low';
@@ -591,8 +1012,8 @@ class FluxApiService {
         };
         
         const bpmRange = {
-            min: Math.max(70, analysis.bpm - 10),
-            max: Math.min(180, analysis.bpm + 10)
+            min: Math.max(70, bpm - 10),
+            max: Math.min(180, bpm + 10)
         };
         
         return {
@@ -607,12 +1028,109 @@ class FluxApiService {
                 `Keep transitions within ${bpmRange.min}-${bpmRange.max} BPM range`,
                 analysis.keyType === 'major' 
                     ? 'Try mixing with relative minor keys for contrast'
-                    : 'Try mixing with relative major keys for uplifting moments'
+                    : 'Try mixing with relative major keys for uplifting moments',
+                ...(typeof analysis.energyStats?.start === 'number' ? [
+                    `Opens at ${Math.round(analysis.energyStats.start * 100)}% and ends at ${Math.round(analysis.energyStats.end * 100)}% energy — ` +
+                    (analysis.energyStats.end < analysis.energyStats.start
+                        ? 'follow it with a track that starts gently'
+                        : 'hand over to a track that keeps the energy up')
+                ] : [])
+            ],
+            warnings: [
+                ...this._tuningWarnings(analysis, previous),
+                ...this._vocalClashWarnings(analysis, previous)
             ],
             timestamp: new Date().toISOString(),
             source: 'Flux AI Engine'
         };
     }
+
+    /**
+     * Warn when the previous track is harmonically compatible on the wheel
+     * but tuned more than a quarter-tone away from this one
+     */
+    _tuningWarnings(analysis, previous) {
+        const transition = previous && this.musicTheory.getTransition(previous, analysis);
+        if (!transition?.compatible || transition.inTune) return [];
+        
+        const cents = transition.tuningDifference;
+        // Pitch fader change (key lock off) that brings this track to the previous track's tuning
+        const pitch = (2 ** (-cents / 1200) - 1) * 100;
+        
+        return [
+            `Tuning: this track is ${cents > 0 ? '+' : ''}${cents} cents from the previous one, so ${transition.from} → ${transition.to} ` +
+            `will sound off despite matching on the wheel — pitch it ${pitch > 0 ? 'up' : 'down'} ${Math.abs(pitch).toFixed(1)}% to line up`
+        ];
+    }
+
+    /**
+     * Warn where vocal sections would play over each other in a blend.
+     * The blend runs from the outgoing track's mix-out cue to its end while the
+     * incoming track plays from its mix-in cue.
+     */
+    _vocalClashWarnings(analysis, previous) {
+        const warnings = [];
+        const vocals = analysis.vocals?.present ? analysis.vocals.sections : [];
+        const blend = track => {
+            const end = track.sections?.length ? track.sections[track.sections.length - 1].end : null;
+            const mixOut = track.cues?.mixOut?.time;
+            return end != null && mixOut != null ? { mixIn: track.cues.mixIn?.time || 0, mixOut, end } : null;
+        };
+        const overlap = (a, b) => Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+        const time = seconds => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+        
+        const own = blend(analysis);
+        if (!own || !vocals.length) return warnings;
+        
+        // The same length of blend at both ends of this track
+        const length = own.end - own.mixOut;
+        const intro = { start: own.mixIn, end: own.mixIn + length };
+        const outro = { start: own.mixOut, end: own.end };
+        
+        const inIntro = vocals.find(section => overlap(section, intro) > 0);
+        if (inIntro) {
+            warnings.push(`Vocals start at ${time(inIntro.start)}, inside the mix-in: bring this track in under an instrumental outro`);
+        }
+        
+        const inOutro = vocals.find(section => overlap(section, outro) > 0);
+        if (inOutro) {
+            warnings.push(`Vocals run until ${time(Math.min(inOutro.end, own.end))}, inside the mix-out: follow with a track that starts instrumental`);
+        }
+        
+        // Previous track mixed out into this one
+        const outgoing = previous && blend(previous);
+        const previousVocals = previous?.vocals?.present ? previous.vocals.sections : [];
+        if (outgoing && previousVocals.length) {
+            // Both tracks on the incoming track's timeline, limited to the blend
+            const window = { start: own.mixIn, end: own.mixIn + (outgoing.end - outgoing.mixOut) };
+            let clash = 0;
+            let clashStart = Infinity;
+            
+            for (const theirs of previousVocals) {
+                const shifted = {
+                    start: Math.max(window.start, theirs.start - outgoing.mixOut + own.mixIn),
+                    end: Math.min(window.end, theirs.end - outgoing.mixOut + own.mixIn)
+                };
+                
+                for (const ours of vocals) {
+                    const amount = overlap(shifted, ours);
+                    if (amount > 0) {
+                        clash += amount;
+                        clashStart = Math.min(clashStart, Math.max(shifted.start, ours.start));
+                    }
+                }
+            }
+            
+            if (clash > 0) {
+                warnings.unshift(
+                    `Vocal clash: the previous track's vocals overlap this track's vocals for ${Math.round(clash)}s from ${time(clashStart)} — ` +
+                    'shorten the blend or cut one vocal with an EQ or loop'
+                );
+            }
+        }
+        
+        return warnings;
+    }
 }
 
 // Export and initialization
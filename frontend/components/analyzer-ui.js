@@ -27,10 +27,13 @@ class FluxAnalyzerUI {
             isAnalyzing: false,
             activeTab: 'url',
             lastResult: null,
+            previousResult: null,
             error: null,
             apiStatus: 'checking',
             file: null,
-            history: []
+            history: [],
+            chosenBpm: null,
+            tempoProfile: localStorage.getItem(this.config.STORAGE_KEYS.TEMPO_PROFILE) || this.config.DEFAULTS.TEMPO_PROFILE
         };
         
         // DOM Elements cache
@@ -223,9 +226,20 @@ class FluxAnalyzerUI {
                         ` : ''}
                     </div>
 
+                    <!-- Analysis Options -->
+                    <div class="analysis-options">
+                        <label for="select-tempo-profile" class="option-label">Tempo range</label>
+                        <select id="select-tempo-profile" class="option-select">
+                            ${this.config.TEMPO_PROFILES.map(profile => `
+                            <option value="${profile.id}" ${profile.id === this.state.tempoProfile ? 'selected' : ''}>${profile.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+
                     <!-- Status Messages -->
                     <div class="status-container">
                         <div id="status-message" class="status-message" aria-live="polite"></div>
+                        <progress id="upload-progress" class="upload-progress hidden" max="100" value="0" aria-label="Upload progress"></progress>
                         <div id="error-message" class="status-message status-error hidden" aria-live="assertive"></div>
                     </div>
 
@@ -270,6 +284,31 @@ class FluxAnalyzerUI {
                             </div>
                         </div>
 
+                        <!-- Tempo Map -->
+                        <section class="tempo-section" aria-labelledby="tempo-title">
+                            <h3 id="tempo-title">⏱️ Tempo Map</h3>
+                            <div class="tempo-candidates" id="tempo-candidates" role="radiogroup" aria-label="Tempo candidates"></div>
+                            <div id="tempo-warning" class="status-message status-warning hidden" role="note"></div>
+                            <div class="tempo-map" id="tempo-map"></div>
+                        </section>
+
+                        <!-- Structure -->
+                        <section class="structure-section" aria-labelledby="structure-title">
+                            <h3 id="structure-title">🧩 Structure</h3>
+                            <div class="section-timeline" id="section-timeline"></div>
+                            <div class="energy-curve" id="energy-curve" aria-label="Energy over time"></div>
+                            <div class="vocal-lane" id="vocal-lane" aria-label="Vocal sections"></div>
+                            <div class="vocal-summary" id="vocal-summary"></div>
+                            <div class="structure-cues" id="structure-cues"></div>
+                        </section>
+
+                        <!-- Audio Quality -->
+                        <section class="quality-section hidden" id="quality-section" aria-labelledby="quality-title">
+                            <h3 id="quality-title">🔍 Audio Quality <span class="quality-verdict" id="quality-verdict"></span></h3>
+                            <ul class="quality-issues" id="quality-issues"></ul>
+                            <div class="quality-checks" id="quality-checks"></div>
+                        </section>
+
                         <!-- Compatibility -->
                         <section class="compatibility-section" aria-labelledby="compatibility-title">
                             <h3 id="compatibility-title">🔄 Compatible Keys</h3>
@@ -286,12 +325,36 @@ class FluxAnalyzerUI {
                             <div class="details-grid">
                                 <div class="detail-item">
                                     <div class="detail-label">Loudness</div>
-                                    <div class="detail-value" id="result-loudness">-- dB</div>
+                                    <div class="detail-value" id="result-loudness">-- LUFS</div>
+                                </div>
+                                <div class="detail-item">
+                                    <div class="detail-label">Short-term Max</div>
+                                    <div class="detail-value" id="result-short-term">-- LUFS</div>
+                                </div>
+                                <div class="detail-item">
+                                    <div class="detail-label">Loudness Range</div>
+                                    <div class="detail-value" id="result-lra">-- LU</div>
+                                </div>
+                                <div class="detail-item">
+                                    <div class="detail-label">True Peak</div>
+                                    <div class="detail-value" id="result-true-peak">-- dBTP</div>
+                                </div>
+                                <div class="detail-item">
+                                    <div class="detail-label">Tempo Stability</div>
+                                    <div class="detail-value" id="result-tempo-stability">--</div>
                                 </div>
                                 <div class="detail-item">
                                     <div class="detail-label">Duration</div>
                                     <div class="detail-value" id="result-duration">-- s</div>
                                 </div>
+                                <div class="detail-item">
+                                    <div class="detail-label">Playable</div>
+                                    <div class="detail-value" id="result-playable">-- s</div>
+                                </div>
+                                <div class="detail-item">
+                                    <div class="detail-label">First Beat</div>
+                                    <div class="detail-value" id="result-first-beat">-- s</div>
+                                </div>
                                 <div class="detail-item">
                                     <div class="detail-label">Source</div>
                                     <div class="detail-value" id="result-source">--</div>
@@ -369,6 +432,7 @@ class FluxAnalyzerUI {
         
         // Status
         this.elements.statusMessage = document.getElementById('status-message');
+        this.elements.uploadProgress = document.getElementById('upload-progress');
         this.elements.errorMessage = document.getElementById('error-message');
         this.elements.statusDot = document.getElementById('status-dot');
         this.elements.statusText = document.getElementById('status-text');
@@ -381,10 +445,29 @@ class FluxAnalyzerUI {
         this.elements.resultCamelot = document.getElementById('result-camelot');
         this.elements.resultEnergy = document.getElementById('result-energy');
         this.elements.resultLoudness = document.getElementById('result-loudness');
+        this.elements.resultShortTerm = document.getElementById('result-short-term');
+        this.elements.resultLRA = document.getElementById('result-lra');
+        this.elements.resultTruePeak = document.getElementById('result-true-peak');
+        this.elements.resultTempoStability = document.getElementById('result-tempo-stability');
         this.elements.resultDuration = document.getElementById('result-duration');
+        this.elements.resultPlayable = document.getElementById('result-playable');
+        this.elements.resultFirstBeat = document.getElementById('result-first-beat');
         this.elements.resultSource = document.getElementById('result-source');
         this.elements.resultTime = document.getElementById('result-time');
         this.elements.resultConfidence = document.getElementById('result-confidence');
+        this.elements.tempoWarning = document.getElementById('tempo-warning');
+        this.elements.tempoMap = document.getElementById('tempo-map');
+        this.elements.tempoCandidates = document.getElementById('tempo-candidates');
+        this.elements.selectTempoProfile = document.getElementById('select-tempo-profile');
+        this.elements.sectionTimeline = document.getElementById('section-timeline');
+        this.elements.structureCues = document.getElementById('structure-cues');
+        this.elements.energyCurve = document.getElementById('energy-curve');
+        this.elements.vocalLane = document.getElementById('vocal-lane');
+        this.elements.vocalSummary = document.getElementById('vocal-summary');
+        this.elements.qualitySection = document.getElementById('quality-section');
+        this.elements.qualityVerdict = document.getElementById('quality-verdict');
+        this.elements.qualityIssues = document.getElementById('quality-issues');
+        this.elements.qualityChecks = document.getElementById('quality-checks');
         this.elements.compatibleKeys = document.getElementById('compatible-keys');
         this.elements.recommendationsSection = document.getElementById('recommendations-section');
         this.elements.recommendationsList = document.getElementById('recommendations-list');
@@ -430,6 +513,15 @@ class FluxAnalyzerUI {
             });
         });
         
+        // Analysis options
+        this.elements.selectTempoProfile?.addEventListener('change', (e) => this._setTempoProfile(e.target.value));
+        
+        // Tempo candidate picker
+        this.elements.tempoCandidates?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bpm]');
+            if (button) this._chooseTempo(Number(button.dataset.bpm));
+        });
+        
         // Action buttons
         this.elements.btnCopy?.addEventListener('click', () => this._copyResults());
         this.elements.btnShare?.addEventListener('click', () => this._shareResults());
@@ -462,12 +554,12 @@ class FluxAnalyzerUI {
         const url = this.elements.inputUrl?.value.trim();
         
         if (!url) {
-            this._showError(this.config.ERRORS.NO_URL_PROVIDED);
+            this._showError(this._errorMessage({ code: 'NO_URL_PROVIDED' }));
             return;
         }
         
         if (!this.config.validateAudioUrl(url)) {
-            this._showError(this.config.ERRORS.INVALID_URL);
+            this._showError(this._errorMessage({ code: 'AUDIO_URL_INVALID' }));
             return;
         }
         
@@ -536,40 +628,49 @@ class FluxAnalyzerUI {
             
             // Perform analysis based on type
             if (type === 'url') {
-                result = await this.api.analyzeAudio(source);
+                result = await this.api.analyzeAudio(source, { profile: this.state.tempoProfile });
             } else if (type === 'file') {
-                result = await this.api.analyzeAudioFile(source);
+                result = await this.api.analyzeAudioFile(source, {
+                    profile: this.state.tempoProfile,
+                    onProgress: progress => this._showUploadProgress(progress)
+                });
             } else {
                 throw new Error('Invalid analysis type');
             }
             
+            // The previous track is the one this result will be mixed out of
+            const previous = this.state.lastResult;
+            
             // Update state with result
             this.state.lastResult = result;
+            this.state.previousResult = previous;
+            this.state.chosenBpm = null;
             
             // Update UI with results
             this._updateResultsUI(result);
             
             // Show recommendations
             if (this.config.FEATURES.RECOMMENDATIONS) {
-                await this._showRecommendations(result);
+                await this._showRecommendations(result, previous);
             }
             
             // Show success message
             this._showStatus('Analysis complete!', 'success');
             
             // Announce completion
-            this._announce(`Analysis complete: ${result.bpm} BPM in ${result.key}`);
+            this._announce(`Analysis complete: ${this._selectedBpm(result)} BPM in ${result.key}`);
             
         } catch (error) {
             // Handle error
             this.state.error = error.message;
-            this._showError(error.message || this.config.ERRORS.ANALYSIS_FAILED);
+            this._showError(this._errorMessage(error));
             
             console.error('Analysis failed:', error);
             
         } finally {
             // Reset analyzing state
             this.state.isAnalyzing = false;
+            this.elements.uploadProgress?.classList.add('hidden');
             this._updateUI();
         }
     }
@@ -584,15 +685,33 @@ class FluxAnalyzerUI {
         this.elements.resultsPanel.classList.remove('hidden');
         
         // Update metrics
-        this.elements.resultBPM.textContent = result.bpm;
+        this.elements.resultBPM.textContent = this._selectedBpm(result);
         this.elements.resultKey.textContent = result.key;
-        this.elements.resultKeyType.textContent = result.keyType;
+        this.elements.resultKeyType.textContent = result.tuning?.cents ? `${result.keyType} • ${this._formatCents(result.tuning.cents)}` : result.keyType;
+        this.elements.resultKeyType.title = result.tuning?.referenceHz ? `Tuned to A4 = ${result.tuning.referenceHz} Hz` : '';
         this.elements.resultCamelot.textContent = result.camelot;
-        this.elements.resultEnergy.textContent = `${Math.round(result.energy * 100)}%`;
-        this.elements.resultLoudness.textContent = `${result.loudness} dB`;
-        this.elements.resultDuration.textContent = `${result.duration}s`;
+        this.elements.resultEnergy.textContent = this._formatPercent(result.energy);
+        this.elements.resultLoudness.textContent = this._formatLevel(result.loudness, 'LUFS');
+        this.elements.resultShortTerm.textContent = this._formatLevel(result.loudnessR128?.shortTermMaxLufs, 'LUFS');
+        this.elements.resultLRA.textContent = this._formatLevel(result.loudnessR128?.loudnessRangeLu, 'LU');
+        this.elements.resultTruePeak.textContent = this._formatLevel(result.loudnessR128?.truePeakDbtp, 'dBTP');
+        this.elements.resultTempoStability.textContent = this._formatPercent(result.tempoStability);
+        this.elements.resultDuration.textContent = this._formatSeconds(result.duration);
+        this.elements.resultPlayable.textContent = this._formatSeconds(result.playableDuration);
+        this.elements.resultPlayable.title = result.silence
+            ? `Leading silence ${this._formatSeconds(result.silence.leadingSilence)} • Trailing silence ${this._formatSeconds(result.silence.trailingSilence)}`
+            : '';
+        this.elements.resultFirstBeat.textContent = this._formatSeconds(result.firstBeatOffset);
         this.elements.resultSource.textContent = result.source;
         
+        // Update tempo map and structure
+        this._updateTempoCandidates(result);
+        this._updateTempoMap(result);
+        this._updateStructure(result);
+        this._updateEnergyCurve(result);
+        this._updateVocals(result);
+        this._updateQuality(result);
+        
         // Update metadata
         this.elements.resultTime.textContent = new Date(result.analyzedAt).toLocaleTimeString();
         this.elements.resultConfidence.textContent = `Confidence: ${Math.round(result.confidence * 100)}%`;
@@ -614,12 +733,227 @@ class FluxAnalyzerUI {
         });
     }
 
+    /**
+     * Half-time / double-time alternatives; the picked one replaces the detected BPM
+     */
+    _updateTempoCandidates(result) {
+        if (!this.elements.tempoCandidates) return;
+        
+        const candidates = result.tempoCandidates || [];
+        const selected = this._selectedBpm(result);
+        const relations = { 1: 'Detected', 0.5: 'Half-time', 2: 'Double-time' };
+        
+        this.elements.tempoCandidates.classList.toggle('hidden', candidates.length < 2);
+        this.elements.tempoCandidates.innerHTML = candidates.map(candidate => `
+            <button type="button" class="tempo-candidate ${candidate.bpm === selected ? 'active' : ''} ${candidate.inRange ? '' : 'out-of-range'}"
+                    role="radio" aria-checked="${candidate.bpm === selected}" data-bpm="${candidate.bpm}"
+                    title="${candidate.inRange ? 'Within' : 'Outside'} the preferred tempo range">
+                <span class="tempo-candidate-bpm">${candidate.bpm}</span>
+                <span class="tempo-candidate-meta">${relations[candidate.ratio] || `×${candidate.ratio}`} • ${this._formatPercent(candidate.confidence)}</span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Persist the user's tempo pick for this track and show it
+     */
+    _chooseTempo(bpm) {
+        const result = this.state.lastResult;
+        if (!result) return;
+        
+        // Picking the detected tempo again clears the override; without a track id it lasts for this result only
+        this.api.setTempoChoice(this.api.getTrackId(result), bpm === result.bpm ? null : bpm);
+        this.state.chosenBpm = bpm === result.bpm ? null : bpm;
+        
+        this.elements.resultBPM.textContent = this._selectedBpm(result);
+        this._updateTempoCandidates(result);
+        
+        // The BPM range in the recommendations follows the picked tempo
+        if (this.config.FEATURES.RECOMMENDATIONS) {
+            this._showRecommendations(result, this.state.previousResult);
+        }
+        this._announce(`Tempo set to ${bpm} BPM`);
+    }
+
+    /**
+     * Detected BPM unless the user picked another candidate for this track
+     */
+    _selectedBpm(result) {
+        return this.api.getSelectedBpm(result, this.state.chosenBpm);
+    }
+
+    /**
+     * Persist the preferred tempo range used for the next analyses
+     */
+    _setTempoProfile(profile) {
+        this.state.tempoProfile = profile;
+        localStorage.setItem(this.config.STORAGE_KEYS.TEMPO_PROFILE, profile);
+    }
+
+    /**
+     * Render tempo segments and warn when one beat grid will not hold
+     */
+    _updateTempoMap(result) {
+        const warning = this._describeTempoVariation(result);
+        
+        if (this.elements.tempoWarning) {
+            this.elements.tempoWarning.textContent = warning || '';
+            this.elements.tempoWarning.classList.toggle('hidden', !warning);
+        }
+        
+        if (!this.elements.tempoMap) return;
+        
+        const segments = result.tempoMap || [];
+        const total = segments.length ? segments[segments.length - 1].end : 0;
+        
+        this.elements.tempoMap.innerHTML = segments.map(segment => `
+            <div class="tempo-segment" style="flex-grow: ${total ? (segment.end - segment.start) / total : 1}"
+                 title="${this._formatTime(segment.start)} – ${this._formatTime(segment.end)}">
+                <div class="tempo-segment-bpm">${segment.bpm}</div>
+                <div class="tempo-segment-time">${this._formatTime(segment.start)}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the section timeline and mix cue points
+     */
+    _updateStructure(result) {
+        const sections = result.sections || [];
+        const total = sections.length ? sections[sections.length - 1].end : 0;
+        
+        if (this.elements.sectionTimeline) {
+            this.elements.sectionTimeline.innerHTML = sections.map(section => `
+                <div class="timeline-section section-${section.label}" style="flex-grow: ${total ? (section.end - section.start) / total : 1}"
+                     title="${this._formatTime(section.start)} – ${this._formatTime(section.end)} • ${section.bars} bars">
+                    <div class="timeline-label">${section.label}</div>
+                    <div class="timeline-bars">${section.bars} bars</div>
+                </div>
+            `).join('');
+        }
+        
+        if (this.elements.structureCues) {
+            const { mixIn, mixOut } = result.cues || {};
+            this.elements.structureCues.textContent = mixIn && mixOut
+                ? `Mix in: ${this._formatTime(mixIn.time)} (bar ${mixIn.bar}) • Mix out: ${this._formatTime(mixOut.time)} (bar ${mixOut.bar})`
+                : '';
+        }
+    }
+
+    /**
+     * Draw the per-bar energy curve under the section timeline
+     */
+    _updateEnergyCurve(result) {
+        if (!this.elements.energyCurve) return;
+        
+        const { times = [], values = [] } = result.energyCurve || {};
+        const peakTime = result.energyStats?.peakTime;
+        
+        this.elements.energyCurve.innerHTML = values.map((value, index) => `
+            <div class="energy-bar ${times[index] === peakTime ? 'peak' : ''}" style="height: ${Math.max(2, Math.round(value * 100))}%"
+                 title="${this._formatTime(times[index])} • ${this._formatPercent(value)}"></div>
+        `).join('');
+    }
+
+    /**
+     * Mark vocal sections on a lane under the energy curve
+     */
+    _updateVocals(result) {
+        const vocals = result.vocals;
+        const sections = vocals?.sections || [];
+        const total = result.sections?.length ? result.sections[result.sections.length - 1].end : 0;
+        
+        if (this.elements.vocalLane) {
+            this.elements.vocalLane.classList.toggle('hidden', !vocals);
+            this.elements.vocalLane.innerHTML = total ? sections.map(section => `
+                <div class="vocal-section" style="left: ${(section.start / total) * 100}%; width: ${((section.end - section.start) / total) * 100}%; opacity: ${section.confidence}"
+                     title="Vocals ${this._formatTime(section.start)} – ${this._formatTime(section.end)} • ${this._formatPercent(section.confidence)} confidence"></div>
+            `).join('') : '';
+        }
+        
+        if (this.elements.vocalSummary) {
+            this.elements.vocalSummary.textContent = this._describeVocals(vocals);
+        }
+    }
+    
+    /**
+     * One-line vocal summary ('' when the analyzer did not report vocals)
+     */
+    _describeVocals(vocals) {
+        if (!vocals) return '';
+        if (!vocals.present) return `🎤 No vocals detected (${this._formatPercent(vocals.confidence)} confidence)`;
+        
+        const ranges = vocals.sections
+            .map(section => `${this._formatTime(section.start)}–${this._formatTime(section.end)}`)
+            .join(', ');
+        
+        return `🎤 Vocals: ${ranges} (${this._formatPercent(vocals.confidence)} confidence)`;
+    }
+
+    /**
+     * Overall pass/warn/fail badge, the failed checks and a summary of every check
+     */
+    _updateQuality(result) {
+        const quality = result.quality;
+        
+        // Older cached results have no quality report
+        this.elements.qualitySection?.classList.toggle('hidden', !quality);
+        
+        if (this.elements.qualityVerdict) {
+            this.elements.qualityVerdict.className = `quality-verdict ${quality ? `quality-${quality.verdict}` : ''}`;
+            this.elements.qualityVerdict.textContent = quality ? quality.verdict.toUpperCase() : '--';
+        }
+        
+        if (this.elements.qualityIssues) {
+            this.elements.qualityIssues.innerHTML = (quality?.issues || []).map(issue => `
+                <li class="quality-issue quality-${issue.severity}">${issue.message}</li>
+            `).join('');
+        }
+        
+        if (this.elements.qualityChecks) {
+            const checks = quality ? [
+                ['Clipping', quality.clipping, `${quality.clipping.clipRuns} runs • Peak ${this._formatLevel(quality.clipping.peakDbfs, 'dBFS')}`],
+                ['DC Offset', quality.dcOffset, this._formatLevel(quality.dcOffset.maxDbfs, 'dBFS')],
+                ['Stereo', quality.stereo, quality.stereo.channels === 1
+                    ? 'Mono'
+                    : `Correlation ${quality.stereo.correlation.toFixed(2)}${quality.stereo.dualMono ? ' • Dual mono' : ''}`],
+                ['Bandwidth', quality.bandwidth, `${(quality.bandwidth.cutoffHz / 1000).toFixed(1)} kHz${quality.bandwidth.estimatedBitrateKbps ? ` • ~${quality.bandwidth.estimatedBitrateKbps} kbps source` : ''}`]
+            ] : [];
+            
+            this.elements.qualityChecks.innerHTML = checks.map(([label, check, value]) => `
+                <div class="quality-check quality-${check.verdict}">
+                    <div class="detail-label">${label}</div>
+                    <div class="detail-value">${value}</div>
+                </div>
+            `).join('');
+        }
+    }
+
+    /**
+     * Human-readable warning for variable-tempo tracks (null when a single grid is safe)
+     */
+    _describeTempoVariation(result) {
+        const variation = result.tempoVariation;
+        if (!variation?.variable) return null;
+        
+        const reasons = {
+            ramp: `Tempo ramps from ${variation.minBpm} to ${variation.maxBpm} BPM`,
+            live: 'Live drumming: beat timing drifts from a fixed grid',
+            variable: `Tempo changes between ${variation.minBpm} and ${variation.maxBpm} BPM`
+        };
+        
+        return `⚠️ ${reasons[variation.kind] || reasons.variable}. Not safe to beatmatch on a single grid.`;
+    }
+
     /**
      * Show recommendations
      */
-    async _showRecommendations(analysis) {
+    async _showRecommendations(analysis, previous = null) {
         try {
-            const recommendations = await this.api.getRecommendations(analysis);
+            const recommendations = await this.api.getRecommendations(analysis, {
+                previous,
+                chosenBpm: analysis === this.state.lastResult ? this.state.chosenBpm : null
+            });
             
             // Show recommendations section
             this.elements.recommendationsSection?.classList.remove('hidden');
@@ -628,6 +962,18 @@ class FluxAnalyzerUI {
             if (this.elements.recommendationsList) {
                 let html = '';
                 
+                if (recommendations.warnings?.length) {
+                    html += `
+                        <div class="recommendation-card warning">
+                            <div class="recommendation-icon">⚠️</div>
+                            <h4>Watch Out</h4>
+                            <ul class="recommendation-text">
+                                ${recommendations.warnings.map(warning => `<li>${warning}</li>`).join('')}
+                            </ul>
+                        </div>
+                    `;
+                }
+                
                 if (recommendations.mixingTips?.length) {
                     html += `
                         <div class="recommendation-card">
@@ -905,6 +1251,16 @@ class FluxAnalyzerUI {
         }
     }
 
+    /**
+     * User-facing text for an error: the localized message for its code,
+     * else the message it came with
+     */
+    _errorMessage(error) {
+        return this.config.getErrorMessage(error.code, this.options.language)
+            || error.message
+            || this.config.getErrorMessage('INTERNAL_ERROR', this.options.language);
+    }
+
     /**
      * Show error message
      */
@@ -936,6 +1292,22 @@ class FluxAnalyzerUI {
         }
     }
 
+    /**
+     * Reflect upload progress events from the API service
+     */
+    _showUploadProgress({ phase, percent }) {
+        if (this.elements.uploadProgress) {
+            this.elements.uploadProgress.value = percent;
+            this.elements.uploadProgress.classList.toggle('hidden', phase !== 'upload');
+        }
+        
+        if (phase === 'upload') {
+            this._showStatus(`Uploading... ${percent}%`, 'info');
+        } else {
+            this._showStatus('Upload complete, analyzing audio...', 'info');
+        }
+    }
+
     /**
      * Update file info
      */
@@ -1034,12 +1406,16 @@ class FluxAnalyzerUI {
         return `
 🎵 Flux Analysis Results
 ────────────────────
-BPM: ${result.bpm}
-Key: ${result.key} (${result.camelot}) • ${result.keyType}
-Energy: ${Math.round(result.energy * 100)}%
-Loudness: ${result.loudness}dB
-Duration: ${result.duration}s
-────────────────────
+BPM: ${this._selectedBpm(result)}${result.tempoCandidates?.length > 1 ? ` (alternatives: ${result.tempoCandidates.filter(candidate => candidate.bpm !== this._selectedBpm(result)).map(candidate => candidate.bpm).join(', ')})` : ''}
+Key: ${result.key} (${result.camelot}) • ${result.keyType}${result.tuning?.referenceHz ? ` • A4 = ${result.tuning.referenceHz} Hz (${this._formatCents(result.tuning.cents)})` : ''}
+Energy: ${this._formatPercent(result.energy)}${result.energyStats?.peakTime != null ? ` • Peak at ${this._formatTime(result.energyStats.peakTime)}` : ''}
+Loudness: ${this._formatLevel(result.loudness, 'LUFS')} • Short-term Max: ${this._formatLevel(result.loudnessR128?.shortTermMaxLufs, 'LUFS')}
+Loudness Range: ${this._formatLevel(result.loudnessR128?.loudnessRangeLu, 'LU')} • True Peak: ${this._formatLevel(result.loudnessR128?.truePeakDbtp, 'dBTP')}
+Tempo Stability: ${this._formatPercent(result.tempoStability)}${result.tempoVariation?.variable ? ' • Variable tempo, not safe to beatmatch on a single grid' : ''}
+Duration: ${this._formatSeconds(result.duration)} • Playable: ${this._formatSeconds(result.playableDuration)} • First Beat: ${this._formatSeconds(result.firstBeatOffset)}
+Structure: ${result.sections?.map(section => `${section.label} (${section.bars})`).join(' → ') || '--'}
+Mix In: ${result.cues?.mixIn ? this._formatTime(result.cues.mixIn.time) : '--'} • Mix Out: ${result.cues?.mixOut ? this._formatTime(result.cues.mixOut.time) : '--'}
+${result.vocals ? `${this._describeVocals(result.vocals).replace('🎤 ', '')}\n` : ''}${result.quality ? `Audio Quality: ${result.quality.verdict.toUpperCase()}${result.quality.issues.length ? ` • ${result.quality.issues.map(issue => issue.message).join('; ')}` : ''}\n` : ''}────────────────────
 Compatible Keys: ${result.compatibleKeys?.join(', ') || result.camelot}
 ────────────────────
 Analyzed: ${new Date(result.analyzedAt).toLocaleString()}
@@ -1050,6 +1426,42 @@ Generated by Flux AI Engine v${this.config.getBuildInfo().version}
         `.trim();
     }
 
+    /**
+     * Format a duration or offset in seconds
+     */
+    _formatSeconds(value) {
+        return typeof value === 'number' ? `${value.toFixed(2)}s` : '-- s';
+    }
+
+    /**
+     * Format a tuning offset in cents with its sign
+     */
+    _formatCents(value) {
+        return `${value > 0 ? '+' : ''}${value}¢`;
+    }
+
+    /**
+     * Format a level measurement with its unit
+     */
+    _formatLevel(value, unit) {
+        return typeof value === 'number' ? `${value.toFixed(1)} ${unit}` : `-- ${unit}`;
+    }
+
+    /**
+     * Format a 0..1 score as a percentage
+     */
+    _formatPercent(value) {
+        return typeof value === 'number' ? `${Math.round(value * 100)}%` : '--';
+    }
+
+    /**
+     * Format seconds as m:ss
+     */
+    _formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    }
+
     /**
      * Show fatal error
      */
@@ -17,12 +17,23 @@ const FLUX_CONFIG = (function() {
                window.navigator.standalone === true
     };
     
+    // Local function runtime (npm start in backend/functions/analyze-bpm), development only:
+    // localStorage.setItem('flux_function_url', 'http://127.0.0.1:8080')
+    const localFunctionUrl = env.isLocalhost ? window.localStorage?.getItem('flux_function_url') : null;
+    
     // API Endpoints
     const ENDPOINTS = {
         // ⚠️ ВАЖНО: Замените на ваш реальный URL функции Яндекс.Облака
-        ANALYZE_BPM: env.isProduction 
+        ANALYZE_BPM: localFunctionUrl || (env.isProduction 
             ? 'https://functions.yandexcloud.net/d4ecmila416om4c1gh93'  // Production
-            : 'https://functions.yandexcloud.net/d4ecmila416om4c1gh93', // Development (можете использовать другой)
+            : 'https://functions.yandexcloud.net/d4ecmila416om4c1gh93'), // Development (можете использовать другой)
+        
+        // File uploads go through server.js, which streams them to the function
+        ANALYZE_UPLOAD: '/api/analyze',
+        ANALYZE_BATCH: '/api/analyze/batch',
+        
+        // Long analyses run as server-side jobs that the client polls
+        JOBS: '/api/jobs',
         
         // Future endpoints
         AUDIO_PROCESSOR: 'https://functions.yandexcloud.net/audio-processor',
@@ -34,9 +45,20 @@ const FLUX_CONFIG = (function() {
         // Request settings
         TIMEOUT: 30000,           // 30 seconds
         MAX_FILE_SIZE: 25 * 1024 * 1024, // 25MB
+        RESULTS_SCHEMA_VERSION: 2, // analyzer results in another schema are re-fetched
         RETRY_ATTEMPTS: 2,
         RETRY_DELAY: 1000,
         
+        // Batch settings (server limits: 100 items, 64MB JSON body)
+        BATCH_MAX_ITEMS: 100,
+        BATCH_MAX_UPLOAD_BYTES: 40 * 1024 * 1024, // raw file bytes per request, before base64
+        BATCH_TIMEOUT: 5 * 60 * 1000, // 5 minutes per request
+        
+        // Job polling (interval grows towards the maximum while a job runs)
+        JOB_POLL_INTERVAL: 1000,
+        JOB_POLL_MAX_INTERVAL: 5000,
+        JOB_TIMEOUT: 10 * 60 * 1000, // 10 minutes
+        
         // Cache settings
         CACHE_TTL: 5 * 60 * 1000, // 5 minutes
         MAX_CACHE_ENTRIES: 50,
@@ -63,31 +85,80 @@ const FLUX_CONFIG = (function() {
         IMAGE_QUALITY: 0.8
     };
     
-    // Error Codes and Messages
-    const ERRORS = {
-        // Network errors
-        NETWORK_ERROR: 'Network connection failed. Please check your internet connection.',
-        TIMEOUT_ERROR: 'Request timeout. Please try again.',
-        CORS_ERROR: 'Cross-origin request blocked. Please contact support.',
-        
-        // API errors
-        API_UNAVAILABLE: 'Analysis service is temporarily unavailable.',
-        INVALID_RESPONSE: 'Invalid response from server.',
-        RATE_LIMITED: 'Too many requests. Please wait a moment.',
-        
-        // Input errors
-        INVALID_URL: 'Please enter a valid audio URL (http:// or https://).',
-        UNSUPPORTED_FORMAT: 'Unsupported audio format. Please use MP3, WAV, M4A, or FLAC.',
-        FILE_TOO_LARGE: 'File is too large. Maximum size is 25MB.',
-        NO_FILE_SELECTED: 'Please select an audio file.',
-        NO_URL_PROVIDED: 'Please enter an audio URL.',
-        
-        // Processing errors
-        ANALYSIS_FAILED: 'Audio analysis failed. Please try again.',
-        DECODING_ERROR: 'Could not decode audio file.',
-        UPLOAD_FAILED: 'File upload failed.'
+    // User-facing messages for the error codes in shared/errors.js, plus a few UI-only ones
+    const ERROR_MESSAGES = {
+        en: {
+            // Network
+            NETWORK_ERROR: 'Network connection failed. Please check your internet connection.',
+            REQUEST_TIMEOUT: 'Request timeout. Please try again.',
+            INVALID_RESPONSE: 'Invalid response from server.',
+            UPSTREAM_UNAVAILABLE: 'Analysis service is temporarily unavailable.',
+            UPSTREAM_TIMEOUT: 'Analysis took too long. Please try again.',
+            RATE_LIMITED: 'Too many requests. Please wait a moment.',
+            
+            // Input
+            AUDIO_URL_INVALID: 'Please enter a valid audio URL (http:// or https://).',
+            AUDIO_URL_BLOCKED: 'This audio URL cannot be used. Please use a public link.',
+            AUDIO_HOST_NOT_FOUND: 'The audio host could not be found. Please check the URL.',
+            TOO_MANY_REDIRECTS: 'The audio URL redirects too many times.',
+            UNSUPPORTED_CONTENT_TYPE: 'The URL does not point to an audio file.',
+            UNSUPPORTED_FORMAT: 'Unsupported audio format. Please use MP3, WAV, M4A, or FLAC.',
+            AUDIO_TOO_LARGE: 'File is too large. Maximum size is 25MB.',
+            NO_FILE_SELECTED: 'Please select an audio file.',
+            NO_URL_PROVIDED: 'Please enter an audio URL.',
+            
+            // Processing
+            DOWNLOAD_FAILED: 'The audio file could not be downloaded. Please try again.',
+            DECODE_FAILED: 'Could not decode audio file.',
+            EMPTY_AUDIO: 'The audio file is empty.',
+            AUDIO_TOO_SHORT: 'The track is too short to analyze. Use at least 5 seconds of audio.',
+            AUDIO_TOO_LONG: 'The track is too long to analyze. Use at most 10 minutes of audio.',
+            NO_AUDIBLE_CONTENT: 'The track is silent, there is nothing to analyze.',
+            UPLOAD_FAILED: 'File upload failed.',
+            JOB_FAILED: 'Audio analysis failed. Please try again.',
+            JOB_INTERRUPTED: 'The server restarted during analysis. Please try again.',
+            INTERNAL_ERROR: 'Audio analysis failed. Please try again.'
+        },
+        ru: {
+            NETWORK_ERROR: 'Нет соединения с сетью. Проверьте подключение к интернету.',
+            REQUEST_TIMEOUT: 'Превышено время ожидания. Попробуйте ещё раз.',
+            INVALID_RESPONSE: 'Некорректный ответ сервера.',
+            UPSTREAM_UNAVAILABLE: 'Сервис анализа временно недоступен.',
+            UPSTREAM_TIMEOUT: 'Анализ занял слишком много времени. Попробуйте ещё раз.',
+            RATE_LIMITED: 'Слишком много запросов. Подождите немного.',
+            
+            AUDIO_URL_INVALID: 'Введите корректную ссылку на аудио (http:// или https://).',
+            AUDIO_URL_BLOCKED: 'Эту ссылку нельзя использовать. Укажите публичную ссылку.',
+            AUDIO_HOST_NOT_FOUND: 'Сервер с аудио не найден. Проверьте ссылку.',
+            TOO_MANY_REDIRECTS: 'Ссылка на аудио перенаправляет слишком много раз.',
+            UNSUPPORTED_CONTENT_TYPE: 'Ссылка ведёт не на аудиофайл.',
+            UNSUPPORTED_FORMAT: 'Формат не поддерживается. Используйте MP3, WAV, M4A или FLAC.',
+            AUDIO_TOO_LARGE: 'Файл слишком большой. Максимальный размер — 25 МБ.',
+            NO_FILE_SELECTED: 'Выберите аудиофайл.',
+            NO_URL_PROVIDED: 'Введите ссылку на аудио.',
+            
+            DOWNLOAD_FAILED: 'Не удалось скачать аудиофайл. Попробуйте ещё раз.',
+            DECODE_FAILED: 'Не удалось декодировать аудиофайл.',
+            EMPTY_AUDIO: 'Аудиофайл пуст.',
+            AUDIO_TOO_SHORT: 'Трек слишком короткий для анализа. Нужно не меньше 5 секунд звука.',
+            AUDIO_TOO_LONG: 'Трек слишком длинный для анализа. Допускается не больше 10 минут звука.',
+            NO_AUDIBLE_CONTENT: 'В треке только тишина, анализировать нечего.',
+            UPLOAD_FAILED: 'Не удалось загрузить файл.',
+            JOB_FAILED: 'Анализ не удался. Попробуйте ещё раз.',
+            JOB_INTERRUPTED: 'Сервер перезапустился во время анализа. Попробуйте ещё раз.',
+            INTERNAL_ERROR: 'Анализ не удался. Попробуйте ещё раз.'
+        }
     };
     
+    // Preferred tempo ranges (ids match the analyzer's tempo profiles)
+    const TEMPO_PROFILES = [
+        { id: 'auto', label: 'Auto (60–200 BPM)' },
+        { id: 'electronic', label: 'Electronic (100–180 BPM)' },
+        { id: 'drum-and-bass', label: 'Drum & Bass (150–190 BPM)' },
+        { id: 'hip-hop', label: 'Hip-Hop (60–115 BPM)' },
+        { id: 'acoustic', label: 'Acoustic (50–180 BPM)' }
+    ];
+    
     // Feature Flags (can be toggled remotely if needed)
     const FEATURES = {
         ANALYZE_URL: true,
@@ -97,7 +168,8 @@ const FLUX_CONFIG = (function() {
         HISTORY: true,
         SHARE: true,
         OFFLINE_MODE: true,
-        PWA_INSTALL: true
+        PWA_INSTALL: true,
+        ASYNC_JOBS: true
     };
     
     // Analytics (optional)
@@ -135,6 +207,8 @@ const FLUX_CONFIG = (function() {
         CACHE: 'flux_cache',
         SESSION: 'flux_session',
         THEME: 'flux_theme',
+        TEMPO_PROFILE: 'flux_tempo_profile',
+        TEMPO_CHOICES: 'flux_tempo_choices',
         ANALYTICS_CONSENT: 'flux_analytics_consent'
     };
     
@@ -142,6 +216,7 @@ const FLUX_CONFIG = (function() {
     const DEFAULTS = {
         THEME: 'dark',
         LANGUAGE: 'en',
+        TEMPO_PROFILE: 'auto',
         VOLUME: 0.5,
         QUALITY: 'high',
         AUTO_PLAY: false,
@@ -156,8 +231,9 @@ const FLUX_CONFIG = (function() {
         // Core configuration
         ENDPOINTS,
         SETTINGS,
-        ERRORS,
+        ERROR_MESSAGES,
         FEATURES,
+        TEMPO_PROFILES,
         
         // Services
         ANALYTICS,
@@ -208,6 +284,13 @@ const FLUX_CONFIG = (function() {
             };
         },
         
+        /**
+         * Localized message for an error code, falling back to English; null for unknown codes
+         */
+        getErrorMessage(code, language = DEFAULTS.LANGUAGE) {
+            return ERROR_MESSAGES[language]?.[code] || ERROR_MESSAGES.en[code] || null;
+        },
+        
         validateAudioUrl(url) {
             if (!url || typeof url !== 'string') return false;
             
@@ -4,7 +4,7 @@
 
 export class HarmonicMixer {
     constructor() {
-        this.camelotWheel = CAMELOT_WHEEL;
+        this.camelotWheel = FluxMusicTheory.CAMELOT_WHEEL;
     }
     
     createSequence(tracks) {
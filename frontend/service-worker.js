@@ -1,4 +1,4 @@
-const APP_VERSION = '3.0.1';
+const APP_VERSION = '3.0.3';
 const CACHE_NAME = `flux-pwa-v${APP_VERSION}`;
 
 // ОСНОВНЫЕ ФАЙЛЫ ДЛЯ КЭШИРОВАНИЯ
@@ -9,6 +9,8 @@ const APP_SHELL = [
   '/app.js',
   '/config.js',
   '/api-service.js',
+  '/shared/music-theory.js',
+  '/shared/errors.js',
   '/manifest.json',
   '/robots.txt',
   '/sitemap.xml'
@@ -75,6 +77,7 @@ self.addEventListener('fetch', (event) => {
   
   if (
     url.hostname.includes('yandexcloud.net') ||
+    url.pathname.startsWith('/api/') ||
     url.pathname.includes('analytics') ||
     url.pathname.includes('track')
   ) {
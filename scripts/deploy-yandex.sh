@@ -39,13 +39,13 @@ deploy_function() {
     
     cd "$FUNCTION_PATH"
     
-    # Install dependencies
-    echo -e "${YELLOW}📦 Installing dependencies...${NC}"
-    npm ci --only=production
+    # Build the bundle: function sources plus flux-shared, which lives outside the function directory
+    echo -e "${YELLOW}📦 Building function bundle...${NC}"
+    npm run build
     
-    # Create deployment package
+    # Create deployment package (dependencies are installed by Yandex Cloud from package.json)
     echo -e "${YELLOW}📁 Creating deployment package...${NC}"
-    zip -r function.zip . -x "*.git*" "*.env*" "node_modules/.bin/*" "*.test.js" "*.spec.js"
+    (cd dist && zip -r ../function.zip . -x "*.git*" "*.env*")
     
     # Deploy to Yandex Cloud
     echo -e "${YELLOW}☁️  Deploying to Yandex Cloud...${NC}"
@@ -60,7 +60,7 @@ deploy_function() {
         --service-account-id="$YANDEX_SERVICE_ACCOUNT_ID"
     
     # Cleanup
-    rm -f function.zip
+    rm -rf function.zip dist
     
     echo -e "${GREEN}✅ $FUNCTION_NAME deployed successfully${NC}"
     cd - > /dev/null
@@ -86,10 +86,10 @@ main() {
     # Deploy analyze-bpm function
     deploy_function \
         "analyze-bpm" \
-        "yandex-cloud/functions/analyze-bpm" \
+        "backend/functions/analyze-bpm" \
         "nodejs22" \
-        "256" \
-        "30"
+        "1024" \
+        "300"
     
     # Update function configuration
     echo -e "${YELLOW}⚙️  Updating function configuration...${NC}"
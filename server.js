@@ -11,16 +11,51 @@ import morgan from 'morgan';
 import { RateLimiterMemory } from 'rate-limiter-flexible';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { Transform, pipeline } from 'stream';
+import { setTimeout as sleep } from 'timers/promises';
 import 'dotenv/config';
+import { assertPublicUrl, safePost, SafeFetchError } from './shared/safe-fetch.js';
+import { runBatch, summarizeBatch } from './shared/batch.js';
+import FluxErrors from './shared/errors.js';
+import { originsFromEnv, createOriginMatcher, ALLOWED_METHODS, ALLOWED_HEADERS, EXPOSED_HEADERS, MAX_AGE } from './shared/cors.js';
+import { JobStore } from './server/job-store.js';
+import { urlAnalysisRequest, uploadAnalysisUrl, decodeFileName } from './server/function-request.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Same limit as SETTINGS.MAX_FILE_SIZE in the frontend config
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+const UPLOAD_CONTENT_TYPES = ['audio/*', 'application/octet-stream'];
+
+// Batch analysis: items are sent to the function one by one, a few at a time
+const BATCH_MAX_ITEMS = 100;
+const BATCH_CONCURRENCY = 4;
+const BATCH_MAX_BODY = '64mb'; // room for a couple of base64-encoded uploads per request
+
+// Analyzer calls are aborted after this long; jobs may wait as long as the function may run
+const FUNCTION_TIMEOUT = 30 * 1000;
+const JOB_FUNCTION_TIMEOUT = 5 * 60 * 1000; // execution_timeout in yc-function.yaml
+
+// Async jobs run in the background; callbacks are retried with backoff
+const JOB_CONCURRENCY = 2;
+const JOB_DEADLINE_MARGIN = 30 * 1000;
+const CALLBACK_TIMEOUT = 10000;
+const CALLBACK_ATTEMPTS = 3;
+
+// Raw upload bytes of a job source; a symbol key cannot come from a JSON request body
+const UPLOAD_BYTES = Symbol('uploadBytes');
+
+// Local development only: lets audioUrl point at localhost and private networks
+const ALLOW_PRIVATE_AUDIO_URLS = process.env.ALLOW_PRIVATE_AUDIO_URLS === 'true';
+
 class FluxServer {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
         this.env = process.env.NODE_ENV || 'development';
+        this.functionUrl = process.env.YANDEX_FUNCTION_URL || 
+            'https://functions.yandexcloud.net/d4ecmila416om4c1gh93';
         
         // Rate limiting
         this.rateLimiter = new RateLimiterMemory({
@@ -29,6 +64,11 @@ class FluxServer {
             blockDuration: 300 // block for 5 minutes
         });
         
+        // Analysis jobs (set JOBS_FILE to keep them across restarts)
+        this.jobs = new JobStore({ file: process.env.JOBS_FILE || null });
+        this.jobQueue = [];
+        this.activeJobs = 0;
+        
         this.initialize();
     }
 
@@ -72,15 +112,15 @@ class FluxServer {
             crossOriginResourcePolicy: { policy: "cross-origin" }
         }));
         
-        // CORS configuration
+        // CORS configuration: CORS_ORIGINS (wildcard subdomains allowed), same matching as the function
+        const isAllowedOrigin = createOriginMatcher(originsFromEnv());
         const corsOptions = {
-            origin: this.env === 'development' 
-                ? ['http://localhost:3000', 'http://127.0.0.1:3000']
-                : ['https://flux-pwa.vercel.app', 'https://*.vercel.app'],
-            methods: ['GET', 'POST', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
+            origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+            methods: ALLOWED_METHODS,
+            allowedHeaders: ALLOWED_HEADERS,
+            exposedHeaders: EXPOSED_HEADERS,
             credentials: true,
-            maxAge: 86400
+            maxAge: MAX_AGE
         };
         
         this.app.use(cors(corsOptions));
@@ -102,7 +142,8 @@ class FluxServer {
             }
         }));
         
-        // Body parsing
+        // Body parsing (batches may carry base64 uploads, so they get a larger limit)
+        this.app.use('/api/analyze/batch', express.json({ limit: BATCH_MAX_BODY }));
         this.app.use(express.json({
             limit: '10mb',
             verify: (req, res, buf) => {
@@ -150,6 +191,9 @@ class FluxServer {
         
         // API endpoints
         this.app.post('/api/analyze', this.analyzeHandler.bind(this));
+        this.app.post('/api/analyze/batch', this.batchHandler.bind(this));
+        this.app.post('/api/jobs', this.createJobHandler.bind(this));
+        this.app.get('/api/jobs/:id', this.jobStatusHandler.bind(this));
         this.app.get('/api/metrics', this.metricsHandler.bind(this));
         this.app.get('/api/config', this.configHandler.bind(this));
         
@@ -166,61 +210,157 @@ class FluxServer {
             res.sendFile(join(__dirname, 'public/service-worker.js'));
         });
         
+        // Shared browser/server modules
+        this.app.get('/shared/music-theory.js', (req, res) => {
+            res.setHeader('Content-Type', 'application/javascript');
+            res.sendFile(join(__dirname, 'shared/music-theory.js'));
+        });
+        
+        this.app.get('/shared/errors.js', (req, res) => {
+            res.setHeader('Content-Type', 'application/javascript');
+            res.sendFile(join(__dirname, 'shared/errors.js'));
+        });
+        
         // SPA fallback
         this.app.get('*', (req, res) => {
             if (req.accepts('html')) {
                 res.sendFile(join(__dirname, 'public/index.html'));
             } else {
-                res.status(404).json({ error: 'Not found' });
+                this.sendError(req, res, 'NOT_FOUND');
             }
         });
     }
 
     async analyzeHandler(req, res) {
+        // Audio file sent as the request body
+        if (req.is(UPLOAD_CONTENT_TYPES)) {
+            return this.uploadHandler(req, res);
+        }
+        
         try {
-            const { audioUrl } = req.body;
+            const { audioUrl, options } = req.body;
             
             if (!audioUrl || typeof audioUrl !== 'string') {
-                return res.status(400).json({
-                    error: 'Invalid request',
-                    message: 'audioUrl is required'
-                });
+                return this.sendError(req, res, 'MISSING_AUDIO', { message: 'audioUrl is required' });
             }
             
-            // Validate URL
+            // Refuse malformed URLs and hosts on private networks before calling the function,
+            // which repeats the check (and enforces size and type limits) when downloading
             try {
-                new URL(audioUrl);
-            } catch {
-                return res.status(400).json({
-                    error: 'Invalid URL',
-                    message: 'Please provide a valid audio URL'
-                });
+                await assertPublicUrl(audioUrl, { allowPrivateNetworks: ALLOW_PRIVATE_AUDIO_URLS });
+            } catch (error) {
+                if (!(error instanceof SafeFetchError)) {
+                    throw error;
+                }
+                
+                return this.sendError(req, res, error.code, { message: error.message });
             }
             
             // Forward to Yandex Cloud Function
-            const yandexResponse = await fetch(
-                process.env.YANDEX_FUNCTION_URL || 
-                'https://functions.yandexcloud.net/d4ecmila416om4c1gh93',
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Forwarded-For': req.ip,
-                        'X-Request-ID': req.id
-                    },
-                    body: JSON.stringify({ audioUrl })
+            await this.forwardToFunction(req, res, this.functionUrl, urlAnalysisRequest(audioUrl, options, {
+                'X-Forwarded-For': req.ip,
+                'X-Request-ID': req.id
+            }));
+            
+        } catch (error) {
+            console.error('Analysis error:', error);
+            
+            this.sendFailure(req, res, error);
+        }
+    }
+
+    /**
+     * Stream an uploaded audio file to the function without buffering it,
+     * aborting as soon as it grows past MAX_UPLOAD_BYTES
+     */
+    async uploadHandler(req, res) {
+        const declaredSize = Number(req.headers['content-length']);
+        
+        if (declaredSize > MAX_UPLOAD_BYTES) {
+            res.setHeader('Connection', 'close');
+            return this.sendError(req, res, 'AUDIO_TOO_LARGE', {
+                message: `Audio files are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`,
+                details: { maxBytes: MAX_UPLOAD_BYTES }
+            });
+        }
+        
+        let received = 0;
+        let tooLarge = false;
+        
+        const limiter = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                
+                if (received > MAX_UPLOAD_BYTES) {
+                    tooLarge = true;
+                    return callback(new Error('Upload size limit exceeded'));
                 }
-            );
+                
+                callback(null, chunk);
+            }
+        });
+        
+        // Errors surface through the fetch below
+        pipeline(req, limiter, () => {});
+        
+        try {
+            await this.forwardToFunction(req, res, uploadAnalysisUrl(this.functionUrl, req.query), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': req.headers['content-type'],
+                    'X-File-Name': req.headers['x-file-name'] || '',
+                    'X-Forwarded-For': req.ip,
+                    'X-Request-ID': req.id
+                },
+                body: limiter,
+                duplex: 'half'
+            });
             
-            if (!yandexResponse.ok) {
-                throw new Error(`Yandex API error: ${yandexResponse.status}`);
+        } catch (error) {
+            if (tooLarge) {
+                res.setHeader('Connection', 'close');
+                return this.sendError(req, res, 'AUDIO_TOO_LARGE', {
+                    message: `Audio files are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`,
+                    details: { maxBytes: MAX_UPLOAD_BYTES }
+                });
             }
             
-            const data = await yandexResponse.json();
+            console.error('Upload analysis error:', error);
+            
+            this.sendFailure(req, res, error);
+        }
+    }
+
+    /**
+     * Analyze a list of URLs and/or base64 uploads with bounded concurrency.
+     * A failing item does not fail the batch: every item gets its own result or error.
+     */
+    async batchHandler(req, res) {
+        const { items, options = {}, concurrency } = req.body || {};
+        
+        if (!Array.isArray(items) || !items.length) {
+            return this.sendError(req, res, 'EMPTY_BATCH', {
+                message: 'items must be a non-empty array of audio URLs or uploads'
+            });
+        }
+        
+        if (items.length > BATCH_MAX_ITEMS) {
+            return this.sendError(req, res, 'BATCH_TOO_LARGE', {
+                message: `A batch is limited to ${BATCH_MAX_ITEMS} items`,
+                details: { maxItems: BATCH_MAX_ITEMS }
+            });
+        }
+        
+        try {
+            const results = await runBatch(
+                items,
+                (item, index) => this.analyzeBatchItem(req, item, index, options),
+                { concurrency: Math.min(BATCH_CONCURRENCY, Math.max(1, Number(concurrency) || BATCH_CONCURRENCY)) }
+            );
             
             res.json({
                 success: true,
-                data,
+                data: this.summarizeBatch(items, results),
                 metadata: {
                     processedBy: 'Flux Node.js 22 Server',
                     requestId: req.id,
@@ -229,14 +369,470 @@ class FluxServer {
             });
             
         } catch (error) {
-            console.error('Analysis error:', error);
+            console.error('Batch analysis error:', error);
+            
+            this.sendFailure(req, res, error);
+        }
+    }
+
+    /**
+     * Per-item results of runBatch in the batch response format
+     */
+    summarizeBatch(items, results) {
+        return summarizeBatch(items, results, ({ ok, value, error }) => (
+            ok ? value : { success: false, error: this.errorObject(error) }
+        ));
+    }
+
+    /**
+     * One batch item: a URL string, { audioUrl } or { audioData (base64), fileName, contentType }.
+     * Jobs pass raw uploads under UPLOAD_BYTES to skip the base64 round trip,
+     * along with a longer timeout and a signal that aborts the call when the job runs out of time.
+     */
+    async analyzeBatchItem(req, item, index, defaults, call = {}) {
+        const source = typeof item === 'string' ? { audioUrl: item } : item || {};
+        const options = { ...defaults, ...source.options };
+        const failure = (code, message) => ({ success: false, error: FluxErrors.toErrorObject(code, { message }) });
+        const headers = {
+            'X-Forwarded-For': req.ip,
+            'X-Request-ID': `${req.id}-${index}`
+        };
+        
+        let response;
+        
+        if (source[UPLOAD_BYTES] || source.audioData) {
+            if (!source[UPLOAD_BYTES] && typeof source.audioData !== 'string') {
+                return failure('MISSING_AUDIO', 'audioData must be a base64 string');
+            }
+            
+            const bytes = source[UPLOAD_BYTES] || Buffer.from(source.audioData, 'base64');
+            
+            if (bytes.length > MAX_UPLOAD_BYTES) {
+                return failure('AUDIO_TOO_LARGE', `Audio files are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`);
+            }
+            
+            response = await this.callFunction(uploadAnalysisUrl(this.functionUrl, options), {
+                method: 'POST',
+                headers: {
+                    ...headers,
+                    'Content-Type': source.contentType || 'application/octet-stream',
+                    'X-File-Name': encodeURIComponent(source.fileName || '')
+                },
+                body: bytes
+            }, call);
+        } else {
+            if (!source.audioUrl || typeof source.audioUrl !== 'string') {
+                return failure('MISSING_AUDIO', 'Each item needs an audioUrl or audioData');
+            }
+            
+            try {
+                await assertPublicUrl(source.audioUrl, { allowPrivateNetworks: ALLOW_PRIVATE_AUDIO_URLS });
+            } catch (error) {
+                if (!(error instanceof SafeFetchError)) {
+                    throw error;
+                }
+                return failure(error.code, error.message);
+            }
             
-            res.status(500).json({
-                error: 'Analysis failed',
-                message: error.message,
-                requestId: req.id
+            response = await this.callFunction(this.functionUrl, urlAnalysisRequest(source.audioUrl, options, headers), call);
+        }
+        
+        if (response.error) {
+            return { success: false, error: response.error };
+        }
+        
+        return { success: true, cache: response.cache, data: response.body.data };
+    }
+
+    /**
+     * Queue an analysis job and return its id right away (202).
+     * Accepts { audioUrl } or { items } as JSON, or a raw audio upload with options in the query string;
+     * an optional callbackUrl receives the finished job as a POST.
+     */
+    async createJobHandler(req, res) {
+        let sources;
+        let options;
+        let callbackUrl;
+        let concurrency;
+        let batch = false;
+        
+        try {
+            if (req.is(UPLOAD_CONTENT_TYPES)) {
+                const bytes = await this.readUpload(req);
+                
+                if (!bytes) {
+                    res.setHeader('Connection', 'close');
+                    return this.sendError(req, res, 'AUDIO_TOO_LARGE', {
+                        message: `Audio files are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`,
+                        details: { maxBytes: MAX_UPLOAD_BYTES }
+                    });
+                }
+                
+                ({ callbackUrl, ...options } = req.query);
+                sources = [{
+                    [UPLOAD_BYTES]: bytes,
+                    fileName: decodeFileName(req.headers['x-file-name']),
+                    contentType: req.headers['content-type']
+                }];
+            } else {
+                const body = req.body || {};
+                ({ options = {}, callbackUrl, concurrency } = body);
+                
+                if (Array.isArray(body.items)) {
+                    if (!body.items.length || body.items.length > BATCH_MAX_ITEMS) {
+                        return this.sendError(req, res, body.items.length ? 'BATCH_TOO_LARGE' : 'EMPTY_BATCH', {
+                            message: `A job takes between 1 and ${BATCH_MAX_ITEMS} items`,
+                            details: { maxItems: BATCH_MAX_ITEMS }
+                        });
+                    }
+                    sources = body.items;
+                    batch = true;
+                } else if (body.audioUrl && typeof body.audioUrl === 'string') {
+                    sources = [body.audioUrl];
+                } else {
+                    return this.sendError(req, res, 'MISSING_AUDIO');
+                }
+            }
+            
+            // Refuse bad audio and callback URLs now rather than in a job that fails later
+            const urls = [
+                ...(!batch && typeof sources[0] === 'string' ? [[null, sources[0]]] : []),
+                ...(callbackUrl ? [['CALLBACK_URL_INVALID', callbackUrl]] : [])
+            ];
+            
+            for (const [code, url] of urls) {
+                try {
+                    await assertPublicUrl(url, { allowPrivateNetworks: ALLOW_PRIVATE_AUDIO_URLS });
+                } catch (error) {
+                    if (!(error instanceof SafeFetchError)) {
+                        throw error;
+                    }
+                    
+                    return this.sendError(req, res, code || error.code, { message: error.message });
+                }
+            }
+            
+            const job = this.jobs.create({ total: sources.length, callbackUrl: callbackUrl || null });
+            
+            this.jobQueue.push({ id: job.id, ip: req.ip, sources, options, batch, concurrency });
+            this.drainJobs();
+            
+            res.status(202)
+                .location(`/api/jobs/${job.id}`)
+                .json({
+                    success: true,
+                    job,
+                    statusUrl: `/api/jobs/${job.id}`,
+                    requestId: req.id
+                });
+        } catch (error) {
+            console.error('Job creation error:', error);
+            
+            this.sendFailure(req, res, error);
+        }
+    }
+
+    jobStatusHandler(req, res) {
+        const job = this.jobs.get(req.params.id);
+        
+        if (!job) {
+            return this.sendError(req, res, 'JOB_NOT_FOUND', {
+                message: `Job ${req.params.id} does not exist or has expired`
             });
         }
+        
+        res.setHeader('Cache-Control', 'no-store');
+        if (job.status === 'queued' || job.status === 'running') {
+            res.setHeader('Retry-After', '1');
+        }
+        
+        res.json({ success: true, job });
+    }
+
+    /**
+     * Buffer an uploaded file; resolves to null once it grows past MAX_UPLOAD_BYTES
+     */
+    readUpload(req) {
+        if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+            return Promise.resolve(null);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let received = 0;
+            
+            const onData = (chunk) => {
+                received += chunk.length;
+                
+                if (received > MAX_UPLOAD_BYTES) {
+                    req.off('data', onData);
+                    req.pause();
+                    return resolve(null);
+                }
+                
+                chunks.push(chunk);
+            };
+            
+            req.on('data', onData);
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Start queued jobs while fewer than JOB_CONCURRENCY are running
+     */
+    drainJobs() {
+        while (this.activeJobs < JOB_CONCURRENCY && this.jobQueue.length) {
+            const task = this.jobQueue.shift();
+            this.activeJobs++;
+            
+            this.runJob(task)
+                .catch(error => {
+                    console.error('Job error:', error);
+                    this.failJob(task.id, FluxErrors.toErrorObject('JOB_FAILED', { message: error.message }));
+                })
+                .finally(() => {
+                    this.activeJobs--;
+                    this.drainJobs();
+                });
+        }
+    }
+
+    /**
+     * Mark a job failed unless it has already finished, and notify its callback.
+     * Returns false when the job was done or failed before.
+     */
+    failJob(id, error) {
+        if (this.jobs.get(id)?.status !== 'running') {
+            return false;
+        }
+        
+        const job = this.jobs.update(id, { status: 'failed', error, finishedAt: new Date().toISOString() });
+        this.notifyJobCallback(job).catch(callbackError => console.error('Job callback error:', callbackError));
+        return true;
+    }
+
+    /**
+     * Run one job through the same per-item path as the batch endpoint.
+     * A single track fails the job on error; a batch job is done with per-item errors.
+     * A job still running once every item could have used its full function timeout
+     * is failed with UPSTREAM_TIMEOUT and its pending calls are aborted.
+     */
+    async runJob({ id, ip, sources, options, batch, concurrency }) {
+        const total = sources.length;
+        const lanes = batch ? Math.min(BATCH_CONCURRENCY, Math.max(1, Number(concurrency) || BATCH_CONCURRENCY)) : 1;
+        const limit = Math.ceil(total / lanes) * JOB_FUNCTION_TIMEOUT + JOB_DEADLINE_MARGIN;
+        const controller = new AbortController();
+        let completed = 0;
+        
+        this.jobs.update(id, { status: 'running', startedAt: new Date().toISOString() });
+        
+        const deadline = setTimeout(() => {
+            controller.abort();
+            if (this.failJob(id, FluxErrors.toErrorObject('UPSTREAM_TIMEOUT', {
+                message: `Job did not finish within ${Math.round(limit / 1000)} s`
+            }))) {
+                console.warn(`Job ${id} timed out after ${Math.round(limit / 1000)} s`);
+            }
+        }, limit);
+        
+        let results;
+        
+        try {
+            results = await runBatch(sources, async (source, index) => {
+                try {
+                    return await this.analyzeBatchItem({ ip, id }, source, index, options, {
+                        timeout: JOB_FUNCTION_TIMEOUT,
+                        signal: controller.signal
+                    });
+                } finally {
+                    completed++;
+                    this.jobs.update(id, {
+                        progress: { completed, total, percent: Math.round((completed / total) * 100) }
+                    });
+                }
+            }, { concurrency: lanes });
+        } finally {
+            clearTimeout(deadline);
+        }
+        
+        // Failed by the deadline above: keep that result
+        if (this.jobs.get(id)?.status !== 'running') {
+            return;
+        }
+        
+        const summary = this.summarizeBatch(sources, results);
+        const [first] = summary.items;
+        
+        const job = this.jobs.update(id, {
+            ...(batch || first.success
+                ? { status: 'done', result: batch ? summary : first.data }
+                : { status: 'failed', error: first.error }),
+            finishedAt: new Date().toISOString()
+        });
+        
+        await this.notifyJobCallback(job);
+    }
+
+    /**
+     * POST the finished job to its callback URL, retrying with backoff
+     */
+    async notifyJobCallback(job) {
+        if (!job.callbackUrl) return;
+        
+        const body = JSON.stringify({ event: 'job.finished', job: { ...job, callback: undefined } });
+        let lastError;
+        let attempts = 0;
+        
+        for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+            attempts = attempt;
+            
+            try {
+                // Resolved and checked again on every attempt, and the connection goes to the checked address;
+                // a redirect counts as a failed delivery
+                const response = await safePost(job.callbackUrl, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Flux-Job-ID': job.id
+                    },
+                    timeout: CALLBACK_TIMEOUT,
+                    allowPrivateNetworks: ALLOW_PRIVATE_AUDIO_URLS
+                });
+                
+                if (response.status >= 200 && response.status < 300) {
+                    this.jobs.update(job.id, {
+                        callback: { status: 'delivered', attempts: attempt, statusCode: response.status, deliveredAt: new Date().toISOString() }
+                    });
+                    return;
+                }
+                
+                lastError = `HTTP ${response.status}`;
+                
+            } catch (error) {
+                lastError = error.message;
+                
+                if (error instanceof SafeFetchError && !FluxErrors.isRetryable(error.code)) {
+                    break;
+                }
+            }
+            
+            if (attempt < CALLBACK_ATTEMPTS) {
+                await sleep(1000 * 2 ** (attempt - 1));
+            }
+        }
+        
+        console.warn(`Job ${job.id} callback failed:`, lastError);
+        this.jobs.update(job.id, {
+            callback: { status: 'failed', attempts, error: lastError }
+        });
+    }
+
+    /**
+     * Call the analyzer function once
+     * Resolves to { status, cache, body } on success and { status, error } for client errors;
+     * throws a FluxError when the function is unreachable or fails.
+     * cache is the function's X-Cache header (HIT, MISS or BYPASS).
+     * The call is aborted after `timeout` ms or when `signal` aborts.
+     */
+    async callFunction(url, init, { timeout = FUNCTION_TIMEOUT, signal } = {}) {
+        let yandexResponse;
+        
+        try {
+            const timeoutSignal = AbortSignal.timeout(timeout);
+            yandexResponse = await fetch(url, {
+                ...init,
+                signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+            });
+        } catch (error) {
+            throw this.callFailure(error, timeout);
+        }
+        
+        if (!yandexResponse.ok) {
+            const body = await yandexResponse.json().catch(() => ({}));
+            const error = FluxErrors.fromBody(body, yandexResponse.status);
+            
+            if (yandexResponse.status < 500) {
+                return { status: yandexResponse.status, error };
+            }
+            
+            // The gateway's own failures (timeouts, crashes) carry no code
+            throw new FluxErrors.FluxError(error.code, error.message, { details: error.details });
+        }
+        
+        let body;
+        
+        try {
+            body = await yandexResponse.json();
+        } catch (error) {
+            throw this.callFailure(error, timeout);
+        }
+        
+        return {
+            status: yandexResponse.status,
+            cache: yandexResponse.headers.get('x-cache'),
+            body
+        };
+    }
+
+    /**
+     * FluxError for a function call that failed before a full response arrived
+     */
+    callFailure(error, timeout) {
+        if (error.name === 'TimeoutError') {
+            return new FluxErrors.FluxError('UPSTREAM_TIMEOUT', `Analyzer did not respond within ${Math.round(timeout / 1000)} s`);
+        }
+        
+        return new FluxErrors.FluxError('UPSTREAM_UNAVAILABLE', `Analyzer unreachable: ${error.message}`);
+    }
+
+    /**
+     * Call the analyzer function and relay its result
+     * Client errors from the function (bad audio, unsupported format) are passed through as-is
+     */
+    async forwardToFunction(req, res, url, init) {
+        const { cache, body, error } = await this.callFunction(url, init);
+        
+        if (error) {
+            return this.sendError(req, res, error.code, error);
+        }
+        
+        if (cache) {
+            res.setHeader('X-Cache', cache);
+        }
+        
+        res.json({
+            success: true,
+            data: body,
+            metadata: {
+                processedBy: 'Flux Node.js 22 Server',
+                requestId: req.id,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Respond with the shared error envelope (shared/errors.js); the status follows the code
+     */
+    sendError(req, res, code, { message, details } = {}) {
+        return res
+            .status(FluxErrors.statusFor(code))
+            .json(FluxErrors.errorBody(code, { message, details, requestId: req.id }));
+    }
+
+    /**
+     * Respond to an unexpected failure: FluxErrors keep their code, anything else is INTERNAL_ERROR
+     */
+    sendFailure(req, res, error) {
+        const { code, message, details } = this.errorObject(error);
+        return this.sendError(req, res, code, { message, details });
+    }
+
+    errorObject(error) {
+        return error instanceof FluxErrors.FluxError
+            ? FluxErrors.toErrorObject(error.code, error)
+            : FluxErrors.toErrorObject('INTERNAL_ERROR', { message: error.message });
     }
 
     metricsHandler(req, res) {
@@ -266,11 +862,15 @@ class FluxServer {
         const config = {
             endpoints: {
                 analyze: '/api/analyze',
+                analyzeBatch: '/api/analyze/batch',
+                jobs: '/api/jobs',
                 health: '/health',
                 metrics: '/api/metrics'
             },
             limits: {
-                maxFileSize: '25MB',
+                maxFileSize: `${MAX_UPLOAD_BYTES / 1024 / 1024}MB`,
+                uploadContentTypes: UPLOAD_CONTENT_TYPES,
+                batchMaxItems: BATCH_MAX_ITEMS,
                 rateLimit: '100 requests per minute'
             },
             features: {
@@ -286,6 +886,11 @@ class FluxServer {
     }
 
     rateLimitMiddleware(req, res, next) {
+        // Job status polling is cheap and would otherwise eat the analysis quota
+        if (req.method === 'GET' && req.path.startsWith('/api/jobs/')) {
+            return next();
+        }
+        
         const key = req.ip || req.connection.remoteAddress;
         
         this.rateLimiter.consume(key)
@@ -293,10 +898,10 @@ class FluxServer {
                 next();
             })
             .catch(() => {
-                res.status(429).json({
-                    error: 'Too many requests',
+                res.setHeader('Retry-After', '300');
+                this.sendError(req, res, 'RATE_LIMITED', {
                     message: 'Rate limit exceeded. Please try again later.',
-                    retryAfter: 300
+                    details: { retryAfter: 300 }
                 });
             });
     }
@@ -304,27 +909,22 @@ class FluxServer {
     setupErrorHandling() {
         // 404 handler
         this.app.use((req, res) => {
-            res.status(404).json({
-                error: 'Not Found',
-                message: `Cannot ${req.method} ${req.path}`,
-                requestId: req.id
-            });
+            this.sendError(req, res, 'NOT_FOUND', { message: `Cannot ${req.method} ${req.path}` });
         });
         
         // Error handler
         this.app.use((error, req, res, next) => {
             console.error('Server error:', error);
             
+            // Body parser errors carry a 4xx status; anything else is ours
             const status = error.status || 500;
-            const message = this.env === 'production' 
-                ? 'Internal server error' 
-                : error.message;
+            const code = error.type === 'entity.parse.failed'
+                ? 'INVALID_JSON'
+                : status < 500 ? FluxErrors.codeForStatus(status) : 'INTERNAL_ERROR';
             
-            res.status(status).json({
-                error: 'Server Error',
-                message,
-                requestId: req.id,
-                ...(this.env === 'development' && { stack: error.stack })
+            this.sendError(req, res, code, {
+                message: this.env === 'production' && status >= 500 ? undefined : error.message,
+                details: this.env === 'development' ? { stack: error.stack } : undefined
             });
         });
         
@@ -339,6 +939,8 @@ class FluxServer {
     }
 
     start() {
+        this.jobs.load().catch(error => console.warn('Failed to load jobs:', error.message));
+        
         this.server = this.app.listen(this.port, () => {
             console.log(`
 🚀 Flux Server v2.0.0
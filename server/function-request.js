@@ -0,0 +1,44 @@
+/**
+ * Flux Function Requests
+ * How the server hands an analysis to the Cloud Function,
+ * shared by single, batch and job analyses so every path sends the same options
+ */
+
+/**
+ * fetch() options for analysing an audio URL.
+ * Analysis options (algorithm, profile, detailed, ...) travel next to the URL in the JSON body.
+ */
+export function urlAnalysisRequest(audioUrl, options = {}, headers = {}) {
+    return {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ audioUrl, options })
+    };
+}
+
+/**
+ * Function URL for a raw upload: the body is the audio, so options travel in the query string
+ */
+export function uploadAnalysisUrl(functionUrl, options = {}) {
+    const target = new URL(functionUrl);
+
+    for (const [name, value] of Object.entries(options)) {
+        target.searchParams.set(name, value);
+    }
+
+    return target;
+}
+
+/**
+ * File name from an X-File-Name header (clients send it URI-encoded);
+ * a malformed encoding keeps the raw value rather than failing the request
+ */
+export function decodeFileName(header) {
+    if (!header) return '';
+
+    try {
+        return decodeURIComponent(header);
+    } catch {
+        return header;
+    }
+}
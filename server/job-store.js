@@ -0,0 +1,124 @@
+/**
+ * Flux Job Store
+ * Analysis jobs kept in memory, optionally mirrored to a JSON file
+ * so they survive a restart of the local server
+ */
+
+import { randomUUID } from 'crypto';
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import FluxErrors from '../shared/errors.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+
+// Finished jobs are kept this long for late pollers
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+export class JobStore {
+    constructor({ file = null, ttl = DEFAULT_TTL } = {}) {
+        this.file = file;
+        this.ttl = ttl;
+        this.jobs = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Load persisted jobs. Jobs that were still queued or running when the
+     * process stopped can never finish, so they are marked as failed.
+     */
+    async load() {
+        if (!this.file) return;
+
+        let saved;
+        try {
+            saved = JSON.parse(await readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to load jobs file:', error.message);
+            }
+            return;
+        }
+
+        for (const job of saved) {
+            if (job.status === 'queued' || job.status === 'running') {
+                Object.assign(job, {
+                    status: 'failed',
+                    error: FluxErrors.toErrorObject('JOB_INTERRUPTED'),
+                    finishedAt: new Date().toISOString()
+                });
+            }
+            this.jobs.set(job.id, job);
+        }
+
+        this.prune();
+    }
+
+    create({ total = 1, callbackUrl = null } = {}) {
+        this.prune();
+
+        const job = {
+            id: randomUUID(),
+            status: 'queued',
+            progress: { completed: 0, total, percent: 0 },
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            callbackUrl,
+            callback: null,
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.save();
+
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    update(id, changes) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        Object.assign(job, changes);
+        this.save();
+
+        return job;
+    }
+
+    /**
+     * Drop finished jobs older than the TTL
+     */
+    prune() {
+        const cutoff = Date.now() - this.ttl;
+
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Write the whole store through a temp file; writes are serialized
+     */
+    save() {
+        if (!this.file) return this.writing;
+
+        const snapshot = JSON.stringify([...this.jobs.values()], null, 2);
+        const temp = `${this.file}.tmp`;
+
+        this.writing = this.writing
+            .then(async () => {
+                await mkdir(dirname(this.file), { recursive: true });
+                await writeFile(temp, snapshot);
+                await rename(temp, this.file);
+            })
+            .catch(error => console.warn('Failed to save jobs file:', error.message));
+
+        return this.writing;
+    }
+}
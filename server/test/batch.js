@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { runBatch, summarizeBatch } from '../../shared/batch.js';
+import FluxErrors from '../../shared/errors.js';
+
+test('no more than `concurrency` workers run at once', async () => {
+    let running = 0;
+    let busiest = 0;
+
+    await runBatch(Array.from({ length: 10 }, (_, index) => index), async () => {
+        running++;
+        busiest = Math.max(busiest, running);
+        await sleep(5);
+        running--;
+    }, { concurrency: 3 });
+
+    assert.equal(busiest, 3);
+});
+
+test('results come back in input order whatever order workers finish in', async () => {
+    const delays = [30, 5, 20, 0, 10];
+
+    const results = await runBatch(delays, async (delay, index) => {
+        await sleep(delay);
+        return `item ${index}`;
+    }, { concurrency: 5 });
+
+    assert.deepEqual(results.map(result => result.index), [0, 1, 2, 3, 4]);
+    assert.deepEqual(results.map(result => result.value), ['item 0', 'item 1', 'item 2', 'item 3', 'item 4']);
+});
+
+test('a failing item does not stop the others', async () => {
+    const results = await runBatch(['a', 'b', 'c'], async (item) => {
+        if (item === 'b') throw new Error('broken');
+        return item.toUpperCase();
+    }, { concurrency: 1 });
+
+    assert.deepEqual(results.map(result => result.ok), [true, false, true]);
+    assert.equal(results[1].error.message, 'broken');
+    assert.equal(results[2].value, 'C');
+});
+
+test('an empty batch and a concurrency above the item count both work', async () => {
+    assert.deepEqual(await runBatch([], async () => 1), []);
+
+    const results = await runBatch([1, 2], async value => value * 2, { concurrency: 10 });
+    assert.deepEqual(results.map(result => result.value), [2, 4]);
+});
+
+test('the summary carries ids, totals and an error envelope per failed item', async () => {
+    const items = [{ id: 'first', audioUrl: 'https://example.com/a.mp3' }, 'https://example.com/b.mp3', { id: 'third' }];
+
+    const results = await runBatch(items, async (item, index) => {
+        if (index === 1) throw new FluxErrors.FluxError('UPSTREAM_TIMEOUT', 'Analyzer did not respond within 30 s');
+        if (index === 2) return { success: false, error: FluxErrors.toErrorObject('MISSING_AUDIO') };
+        return { success: true, data: { bpm: 128 } };
+    });
+
+    const summary = summarizeBatch(items, results, ({ ok, value, error }) => (
+        ok ? value : { success: false, error: FluxErrors.toErrorObject(error.code, error) }
+    ));
+
+    assert.equal(summary.total, 3);
+    assert.equal(summary.succeeded, 1);
+    assert.equal(summary.failed, 2);
+    assert.deepEqual(summary.items.map(item => item.id), ['first', 1, 'third']);
+    assert.deepEqual(summary.items[0], { index: 0, id: 'first', success: true, data: { bpm: 128 } });
+
+    assert.equal(summary.items[1].success, false);
+    assert.equal(summary.items[1].error.code, 'UPSTREAM_TIMEOUT');
+    assert.equal(summary.items[1].error.message, 'Analyzer did not respond within 30 s');
+    assert.equal(summary.items[1].error.retryable, true);
+
+    assert.equal(summary.items[2].error.code, 'MISSING_AUDIO');
+    assert.equal(summary.items[2].error.retryable, false);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOriginMatcher, originsFromEnv, corsHeaders } from '../../shared/cors.js';
+
+test('an exact origin matches only itself', () => {
+    const allowed = createOriginMatcher(['https://flux-pwa.vercel.app', 'http://localhost:3000']);
+
+    assert.equal(allowed('https://flux-pwa.vercel.app'), true);
+    assert.equal(allowed('https://flux-pwa.vercel.app/'), true);
+    assert.equal(allowed('http://localhost:3000'), true);
+
+    assert.equal(allowed('http://flux-pwa.vercel.app'), false);
+    assert.equal(allowed('https://flux-pwa.vercel.app:8443'), false);
+    assert.equal(allowed('http://localhost:3001'), false);
+    assert.equal(allowed('https://flux-pwa.vercel.app/path'), false);
+    assert.equal(allowed('https://other.vercel.app'), false);
+});
+
+test('a wildcard matches subdomains but not the domain itself', () => {
+    const allowed = createOriginMatcher(['https://*.example.com']);
+
+    assert.equal(allowed('https://app.example.com'), true);
+    assert.equal(allowed('https://a.b.example.com'), true);
+
+    assert.equal(allowed('https://example.com'), false);
+    assert.equal(allowed('http://app.example.com'), false);
+});
+
+test('lookalike hosts do not match', () => {
+    const allowed = createOriginMatcher(['https://*.vercel.app', 'https://flux-pwa.vercel.app']);
+
+    assert.equal(allowed('https://evilvercel.app'), false);
+    assert.equal(allowed('https://x.vercel.app.evil.com'), false);
+    assert.equal(allowed('https://vercel.app'), false);
+    assert.equal(allowed('https://flux-pwa.vercel.app.evil.com'), false);
+    assert.equal(allowed('https://flux-pwa.vercel.app@evil.com'), false);
+});
+
+test('a prefix wildcard matches one label with that prefix', () => {
+    const allowed = createOriginMatcher(['https://flux-pwa-*.vercel.app']);
+
+    assert.equal(allowed('https://flux-pwa-git-main-team.vercel.app'), true);
+    assert.equal(allowed('https://flux-pwa-abc123.vercel.app'), true);
+
+    assert.equal(allowed('https://flux-pwa.vercel.app'), false);
+    assert.equal(allowed('https://flux-pwa-.vercel.app'), false);
+    assert.equal(allowed('https://evil-flux-pwa-x.vercel.app'), false);
+    assert.equal(allowed('https://flux-pwa-x.evil.vercel.app'), false);
+    assert.equal(allowed('https://attacker.vercel.app'), false);
+});
+
+test('a null or missing origin is not allowed', () => {
+    const allowed = createOriginMatcher(['https://flux-pwa.vercel.app']);
+
+    assert.equal(allowed('null'), false);
+    assert.equal(allowed(null), false);
+    assert.equal(allowed(undefined), false);
+    assert.equal(allowed(''), false);
+    assert.deepEqual(corsHeaders(undefined, allowed), { 'Vary': 'Origin' });
+});
+
+test('malformed patterns fail at startup', () => {
+    assert.throws(() => createOriginMatcher(['https://example.com/path']), /Invalid CORS origin pattern/);
+    assert.throws(() => createOriginMatcher(['not a url']), /Invalid CORS origin pattern/);
+});
+
+test('production allows only the project origin unless previews are opted in', () => {
+    assert.deepEqual(originsFromEnv({ NODE_ENV: 'production' }), ['https://flux-pwa.vercel.app']);
+
+    const allowed = createOriginMatcher(originsFromEnv({ NODE_ENV: 'production' }));
+    assert.equal(allowed('https://attacker.vercel.app'), false);
+    assert.equal(allowed('https://flux-pwa-git-main.vercel.app'), false);
+
+    const withPreviews = createOriginMatcher(originsFromEnv({ NODE_ENV: 'production', CORS_ALLOW_PREVIEWS: 'true' }));
+    assert.equal(withPreviews('https://flux-pwa.vercel.app'), true);
+    assert.equal(withPreviews('https://flux-pwa-git-main.vercel.app'), true);
+    assert.equal(withPreviews('https://attacker.vercel.app'), false);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { urlAnalysisRequest, uploadAnalysisUrl, decodeFileName } from '../function-request.js';
+
+test('a URL analysis forwards its options in the body', () => {
+    const options = { algorithm: 'fast', profile: 'electronic', detailed: true };
+    const init = urlAnalysisRequest('https://example.com/track.mp3', options, { 'X-Request-ID': 'req-1' });
+
+    assert.equal(init.method, 'POST');
+    assert.equal(init.headers['Content-Type'], 'application/json');
+    assert.equal(init.headers['X-Request-ID'], 'req-1');
+    assert.deepEqual(JSON.parse(init.body), { audioUrl: 'https://example.com/track.mp3', options });
+});
+
+test('a URL analysis without options sends an empty options object', () => {
+    const init = urlAnalysisRequest('https://example.com/track.mp3', undefined);
+
+    assert.deepEqual(JSON.parse(init.body).options, {});
+});
+
+test('an upload forwards its options in the query string', () => {
+    const target = uploadAnalysisUrl('https://functions.example.com/fn?integration=raw', {
+        algorithm: 'accurate',
+        detailed: true
+    });
+
+    assert.equal(target.searchParams.get('integration'), 'raw');
+    assert.equal(target.searchParams.get('algorithm'), 'accurate');
+    assert.equal(target.searchParams.get('detailed'), 'true');
+});
+
+test('the file name header is URI-decoded', () => {
+    assert.equal(decodeFileName(encodeURIComponent('Трек №1.wav')), 'Трек №1.wav');
+    assert.equal(decodeFileName(undefined), '');
+});
+
+test('a malformed file name header keeps its raw value', () => {
+    assert.equal(decodeFileName('%E0%A4%A'), '%E0%A4%A');
+});
@@ -0,0 +1,60 @@
+/**
+ * Flux Batch
+ * Bounded-concurrency runner for batch analysis
+ * shared by the Cloud Function and the server
+ */
+
+'use strict';
+
+/**
+ * Run worker(item, index) over all items with at most `concurrency` in flight.
+ * Never rejects: resolves to one { index, ok, value } or { index, ok: false, error }
+ * per item, in input order.
+ */
+async function runBatch(items, worker, { concurrency = 4 } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const lane = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { index, ok: true, value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { index, ok: false, error };
+            }
+        }
+    };
+
+    const lanes = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: lanes }, lane));
+
+    return results;
+}
+
+/**
+ * Batch response data from runBatch results: { total, succeeded, failed, items }.
+ * describe(result) turns one result into { success: true, ... } or { success: false, error };
+ * every item also carries its index and the caller's id (the index when it has none).
+ */
+function summarizeBatch(items, results, describe) {
+    const batchItems = results.map(result => ({
+        index: result.index,
+        id: items[result.index]?.id ?? result.index,
+        ...describe(result)
+    }));
+
+    const succeeded = batchItems.filter(item => item.success).length;
+
+    return {
+        total: items.length,
+        succeeded,
+        failed: items.length - succeeded,
+        items: batchItems
+    };
+}
+
+module.exports = {
+    runBatch,
+    summarizeBatch
+};
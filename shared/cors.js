@@ -0,0 +1,140 @@
+/**
+ * Flux CORS
+ * Origin allowlist with wildcard subdomain patterns
+ * shared by the Cloud Function and the server (Node only)
+ */
+
+'use strict';
+
+// Used when CORS_ORIGINS is not set
+const PRODUCTION_ORIGINS = ['https://flux-pwa.vercel.app'];
+const DEVELOPMENT_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+// Vercel preview deployments of this project only, added with CORS_ALLOW_PREVIEWS=true.
+// Never *.vercel.app: anyone can deploy there, and the server allows credentials.
+const PREVIEW_ORIGINS = ['https://flux-pwa-*.vercel.app'];
+
+const ALLOWED_METHODS = ['GET', 'POST', 'OPTIONS'];
+// Everything api-service.js sends besides CORS-safelisted headers
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'X-Request-ID', 'X-File-Name', 'X-Session-ID', 'X-Client-Version'];
+const EXPOSED_HEADERS = ['X-Request-ID', 'X-Cache'];
+const MAX_AGE = 86400;
+
+/**
+ * Origin patterns from the environment: CORS_ORIGINS as a comma separated list,
+ * else the defaults for NODE_ENV; CORS_ALLOW_PREVIEWS=true adds the project's preview deployments
+ */
+function originsFromEnv(env = process.env) {
+    const configured = (env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+
+    const origins = configured.length
+        ? configured
+        : env.NODE_ENV === 'production' ? PRODUCTION_ORIGINS : DEVELOPMENT_ORIGINS;
+
+    return env.CORS_ALLOW_PREVIEWS === 'true' ? [...origins, ...PREVIEW_ORIGINS] : origins;
+}
+
+/**
+ * Parse one pattern: '*', an exact origin, https://*.example.com for any subdomain
+ * (but not example.com itself), or https://app-*.example.com for one subdomain label
+ * starting with "app-". Scheme and port always have to match.
+ */
+function compilePattern(pattern) {
+    if (pattern === '*') {
+        return () => true;
+    }
+
+    const wildcard = pattern.match(/^([a-z][a-z0-9+.-]*:\/\/)([a-z0-9-]*)\*\.(.+)$/i);
+    let url;
+
+    try {
+        url = new URL(wildcard ? wildcard[1] + wildcard[3] : pattern);
+    } catch {
+        url = null;
+    }
+
+    if (!url || url.pathname !== '/' || url.search || url.hash || url.username) {
+        throw new Error(`Invalid CORS origin pattern: ${pattern}`);
+    }
+
+    const prefix = wildcard ? wildcard[2].toLowerCase() : null;
+
+    return (origin) => origin.protocol === url.protocol &&
+        origin.port === url.port &&
+        (wildcard ? matchesSubdomain(origin.hostname, url.hostname, prefix) : origin.hostname === url.hostname);
+}
+
+/**
+ * hostname is a subdomain of domain; with a prefix, exactly one label that starts with it
+ */
+function matchesSubdomain(hostname, domain, prefix) {
+    if (!hostname.endsWith(`.${domain}`)) return false;
+    if (!prefix) return true;
+
+    const label = hostname.slice(0, -domain.length - 1);
+    return label.length > prefix.length && label.startsWith(prefix) && !label.includes('.');
+}
+
+/**
+ * (origin) => boolean for a list of patterns; throws on a malformed pattern
+ * so a typo in the configuration fails at startup rather than per request
+ */
+function createOriginMatcher(patterns) {
+    const matchers = patterns.map(compilePattern);
+
+    return (origin) => {
+        if (!origin || typeof origin !== 'string') return false;
+
+        let parsed;
+        try {
+            parsed = new URL(origin);
+        } catch {
+            // "null" from sandboxed frames and file:// pages
+            return false;
+        }
+
+        // An Origin header is scheme://host[:port] and nothing else
+        if (parsed.origin !== origin.replace(/\/$/, '').toLowerCase()) return false;
+
+        return matchers.some(matches => matches(parsed));
+    };
+}
+
+/**
+ * Response headers for a request from `origin`: an allowed origin is echoed back,
+ * anything else gets no Access-Control-Allow-Origin at all
+ */
+function corsHeaders(origin, isAllowedOrigin) {
+    return {
+        ...(origin && isAllowedOrigin(origin) && {
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Expose-Headers': EXPOSED_HEADERS.join(', ')
+        }),
+        // Caches must not serve one origin's response to another
+        'Vary': 'Origin'
+    };
+}
+
+/**
+ * Extra headers for an allowed preflight (OPTIONS) response
+ */
+function preflightHeaders() {
+    return {
+        'Access-Control-Allow-Methods': ALLOWED_METHODS.join(', '),
+        'Access-Control-Allow-Headers': ALLOWED_HEADERS.join(', '),
+        'Access-Control-Max-Age': String(MAX_AGE)
+    };
+}
+
+module.exports = {
+    ALLOWED_METHODS,
+    ALLOWED_HEADERS,
+    EXPOSED_HEADERS,
+    MAX_AGE,
+    originsFromEnv,
+    createOriginMatcher,
+    corsHeaders,
+    preflightHeaders
+};
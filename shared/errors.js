@@ -0,0 +1,173 @@
+/**
+ * Flux Errors
+ * Catalogue of stable error codes and the error envelope
+ * shared by the Cloud Function, the server and the browser
+ */
+
+const FluxErrors = (function() {
+    'use strict';
+
+    // code: [HTTP status, worth retrying, default message]
+    // Codes are part of the API: add new ones, never rename or reuse them
+    const CATALOGUE = {
+        // Request
+        INVALID_REQUEST: [400, false, 'Invalid request'],
+        INVALID_JSON: [400, false, 'Request body is not valid JSON'],
+        MISSING_AUDIO: [400, false, 'Send { audioUrl }, { items } or an audio file as the request body'],
+        INVALID_OPTION: [400, false, 'Unknown analysis option'],
+        EMPTY_BATCH: [400, false, 'A batch needs at least one item'],
+        BATCH_TOO_LARGE: [400, false, 'Too many items in one batch'],
+        CALLBACK_URL_INVALID: [400, false, 'Callback URL is not a valid public http(s) link'],
+        NOT_FOUND: [404, false, 'Not found'],
+        JOB_NOT_FOUND: [404, false, 'Job does not exist or has expired'],
+        RATE_LIMITED: [429, false, 'Too many requests'],
+        ORIGIN_NOT_ALLOWED: [403, false, 'Requests from this origin are not allowed'],
+
+        // Audio source
+        AUDIO_URL_INVALID: [400, false, 'Audio URL must be a valid http(s) link'],
+        AUDIO_URL_BLOCKED: [403, false, 'Audio URL points to a private or reserved address'],
+        AUDIO_HOST_NOT_FOUND: [422, false, 'Audio host could not be resolved'],
+        TOO_MANY_REDIRECTS: [422, false, 'Audio URL redirects too many times'],
+        UNSUPPORTED_CONTENT_TYPE: [415, false, 'URL does not point to an audio file'],
+        AUDIO_TOO_LARGE: [413, false, 'Audio file is too large'],
+        DOWNLOAD_FAILED: [502, true, 'Audio download failed'],
+
+        // Decoding
+        UNSUPPORTED_FORMAT: [415, false, 'Unsupported audio format'],
+        DECODE_FAILED: [422, false, 'Audio file could not be decoded'],
+        EMPTY_AUDIO: [422, false, 'Audio file is empty'],
+        AUDIO_TOO_SHORT: [422, false, 'Audio is too short to analyze'],
+        AUDIO_TOO_LONG: [422, false, 'Audio is too long to analyze'],
+        NO_AUDIBLE_CONTENT: [422, false, 'Audio contains only silence'],
+
+        // Service
+        UPSTREAM_TIMEOUT: [504, true, 'An upstream service timed out'],
+        UPSTREAM_UNAVAILABLE: [502, true, 'The analysis service is unavailable'],
+        JOB_FAILED: [500, true, 'Analysis job failed'],
+        JOB_INTERRUPTED: [500, true, 'The server restarted before the job finished'],
+        INTERNAL_ERROR: [500, true, 'Internal server error'],
+
+        // Client side (never sent by the server)
+        NETWORK_ERROR: [0, true, 'Network connection failed'],
+        REQUEST_TIMEOUT: [0, true, 'Request timed out'],
+        INVALID_RESPONSE: [0, true, 'Invalid response from server'],
+        UPLOAD_FAILED: [0, false, 'File could not be read for upload']
+    };
+
+    const CODES = Object.freeze(Object.fromEntries(Object.keys(CATALOGUE).map(code => [code, code])));
+
+    /**
+     * Catalogue entry for a code; unknown codes resolve to INTERNAL_ERROR
+     */
+    function describe(code) {
+        const known = Object.prototype.hasOwnProperty.call(CATALOGUE, code) ? code : 'INTERNAL_ERROR';
+        const [status, retryable, message] = CATALOGUE[known];
+
+        return { code: known, status, retryable, message };
+    }
+
+    function isRetryable(code) {
+        return describe(code).retryable;
+    }
+
+    function statusFor(code) {
+        return describe(code).status;
+    }
+
+    /**
+     * Response body for a failed request:
+     * { success: false, error: { code, status, retryable, message, details? }, requestId, timestamp }
+     */
+    function errorBody(code, { message, details, requestId } = {}) {
+        return {
+            success: false,
+            error: toErrorObject(code, { message, details }),
+            ...(requestId && { requestId }),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * The error object alone, as used for batch items and jobs
+     */
+    function toErrorObject(code, { message, details } = {}) {
+        const entry = describe(code);
+
+        return {
+            code: entry.code,
+            status: entry.status,
+            retryable: entry.retryable,
+            message: message || entry.message,
+            ...(details && { details })
+        };
+    }
+
+    /**
+     * Read the error object from a response body, including the older
+     * { error: 'Label', code, message } shape; null when there is none
+     */
+    function fromBody(body, status = 500) {
+        if (!body || typeof body !== 'object' || body.success === true) return null;
+
+        if (body.error && typeof body.error === 'object') {
+            return toErrorObject(body.error.code, body.error);
+        }
+
+        const code = body.code && Object.prototype.hasOwnProperty.call(CATALOGUE, body.code)
+            ? body.code
+            : codeForStatus(status);
+
+        return toErrorObject(code, { message: body.message || (typeof body.error === 'string' ? body.error : undefined) });
+    }
+
+    /**
+     * Best guess for a response that carries no code
+     */
+    function codeForStatus(status) {
+        if (status === 404) return 'NOT_FOUND';
+        if (status === 413) return 'AUDIO_TOO_LARGE';
+        if (status === 415) return 'UNSUPPORTED_FORMAT';
+        if (status === 429) return 'RATE_LIMITED';
+        if (status === 504) return 'UPSTREAM_TIMEOUT';
+        if (status >= 500) return 'UPSTREAM_UNAVAILABLE';
+        if (status >= 400) return 'INVALID_REQUEST';
+        return 'INTERNAL_ERROR';
+    }
+
+    /**
+     * Error with a catalogue code, for code that throws rather than building a response
+     */
+    class FluxError extends Error {
+        constructor(code, message, { details, requestId } = {}) {
+            const entry = describe(code);
+            super(message || entry.message);
+            this.name = 'FluxError';
+            this.code = entry.code;
+            this.status = entry.status;
+            this.retryable = entry.retryable;
+            this.details = details;
+            this.requestId = requestId;
+        }
+    }
+
+    // Public API
+    return {
+        CODES,
+
+        describe,
+        isRetryable,
+        statusFor,
+        errorBody,
+        toErrorObject,
+        fromBody,
+        codeForStatus,
+        FluxError
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FluxErrors;
+} else {
+    window.FluxErrors = FluxErrors;
+}
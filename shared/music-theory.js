@@ -0,0 +1,227 @@
+/**
+ * Flux Music Theory
+ * Camelot wheel, key notation and harmonic compatibility rules
+ * shared by the Cloud Function, the server and the browser
+ */
+
+const FluxMusicTheory = (function() {
+    'use strict';
+
+    const PITCH_CLASSES = {
+        'C': 0, 'C#': 1, 'Db': 1, 'D': 2, 'D#': 3, 'Eb': 3, 'E': 4, 'Fb': 4,
+        'E#': 5, 'F': 5, 'F#': 6, 'Gb': 6, 'G': 7, 'G#': 8, 'Ab': 8,
+        'A': 9, 'A#': 10, 'Bb': 10, 'B': 11, 'Cb': 11, 'B#': 0
+    };
+
+    // All 24 positions: [camelot, key, tonic, enharmonic spellings, color]
+    const POSITIONS = [
+        ['1A', 'G#m', 8, ['Abm'], '#2EC4B6'],
+        ['1B', 'B', 11, ['Cb'], '#00F5D4'],
+        ['2A', 'Ebm', 3, ['D#m'], '#0096C7'],
+        ['2B', 'F#', 6, ['Gb'], '#00BBF9'],
+        ['3A', 'Bbm', 10, ['A#m'], '#C77DFF'],
+        ['3B', 'Db', 1, ['C#'], '#F15BB5'],
+        ['4A', 'Fm', 5, [], '#E9C46A'],
+        ['4B', 'Ab', 8, ['G#'], '#FEE440'],
+        ['5A', 'Cm', 0, [], '#E76F51'],
+        ['5B', 'Eb', 3, ['D#'], '#FF9F1C'],
+        ['6A', 'Gm', 7, [], '#52B788'],
+        ['6B', 'Bb', 10, ['A#'], '#8AC926'],
+        ['7A', 'Dm', 2, [], '#6A4C93'],
+        ['7B', 'F', 5, [], '#9B5DE5'],
+        ['8A', 'Am', 9, [], '#4ECDC4'],
+        ['8B', 'C', 0, [], '#FF6B6B'],
+        ['9A', 'Em', 4, [], '#06D6A0'],
+        ['9B', 'G', 7, [], '#FFD166'],
+        ['10A', 'Bm', 11, [], '#073B4C'],
+        ['10B', 'D', 2, [], '#118AB2'],
+        ['11A', 'F#m', 6, ['Gbm'], '#7209B7'],
+        ['11B', 'A', 9, [], '#EF476F'],
+        ['12A', 'C#m', 1, ['Dbm'], '#FB5607'],
+        ['12B', 'E', 4, [], '#3A86FF']
+    ];
+
+    const KEYS = POSITIONS.map(([camelot, key, tonic, enharmonics, color]) => {
+        const number = parseInt(camelot, 10);
+        const keyType = camelot.endsWith('A') ? 'minor' : 'major';
+        const tonicName = key.replace(/m$/, '');
+
+        return Object.freeze({
+            camelot,
+            number,
+            letter: camelot.slice(-1),
+            openKey: `${((number + 4) % 12) + 1}${keyType === 'minor' ? 'm' : 'd'}`,
+            key,
+            name: `${tonicName} ${keyType}`,
+            keyType,
+            tonic,
+            enharmonics: Object.freeze(enharmonics),
+            color
+        });
+    });
+
+    const BY_CAMELOT = new Map(KEYS.map(entry => [entry.camelot, entry]));
+    const BY_OPEN_KEY = new Map(KEYS.map(entry => [entry.openKey, entry]));
+
+    // Transition rules between two wheel positions, in order of preference
+    const COMPATIBILITY_RULES = [
+        { type: 'perfect', label: 'Same key', step: 0, switchMode: false },
+        { type: 'adjacent', label: 'One step on the wheel', step: -1, switchMode: false },
+        { type: 'adjacent', label: 'One step on the wheel', step: 1, switchMode: false },
+        { type: 'relative', label: 'Relative major/minor', step: 0, switchMode: true },
+        { type: 'diagonal', label: 'Step and mode change', step: -1, switchMode: true },
+        { type: 'diagonal', label: 'Step and mode change', step: 1, switchMode: true }
+    ];
+
+    // More than a quarter-tone apart, keys that match on the wheel still sound out of tune together
+    const MAX_TUNING_DIFFERENCE = 50;
+
+    /**
+     * Resolve Camelot, Open Key or standard notation to a wheel entry
+     */
+    function getKey(notation) {
+        if (!notation) return null;
+        if (typeof notation === 'object' && notation.camelot) {
+            return BY_CAMELOT.get(notation.camelot) || null;
+        }
+
+        const value = String(notation).trim()
+            .replace(/♯/g, '#')
+            .replace(/♭/g, 'b');
+
+        const camelotMatch = value.match(/^(\d{1,2})\s*([ABab])$/);
+        if (camelotMatch) {
+            return BY_CAMELOT.get(`${Number(camelotMatch[1])}${camelotMatch[2].toUpperCase()}`) || null;
+        }
+
+        const openKeyMatch = value.match(/^(\d{1,2})\s*([dmDM])$/);
+        if (openKeyMatch) {
+            return BY_OPEN_KEY.get(`${Number(openKeyMatch[1])}${openKeyMatch[2].toLowerCase()}`) || null;
+        }
+
+        const standardMatch = value.match(/^([A-Ga-g])([#b]?)\s*([Mm]|[Mm]in|[Mm]inor|[Mm]aj|[Mm]ajor)?$/);
+        if (standardMatch) {
+            const tonic = PITCH_CLASSES[standardMatch[1].toUpperCase() + standardMatch[2]];
+            const mode = standardMatch[3] || '';
+            // "m" is minor, a capital "M" is the major shorthand
+            const keyType = mode !== 'M' && /^m(in|inor)?$/i.test(mode) ? 'minor' : 'major';
+
+            return fromPitchClass(tonic, keyType);
+        }
+
+        return null;
+    }
+
+    /**
+     * Wheel entry for a tonic pitch class (0 = C) and mode
+     */
+    function fromPitchClass(tonic, keyType = 'major') {
+        const pitchClass = ((tonic % 12) + 12) % 12;
+        return KEYS.find(entry => entry.tonic === pitchClass && entry.keyType === keyType) || null;
+    }
+
+    function toCamelot(notation) {
+        return getKey(notation)?.camelot || null;
+    }
+
+    function toOpenKey(notation) {
+        return getKey(notation)?.openKey || null;
+    }
+
+    function toStandard(notation) {
+        return getKey(notation)?.key || null;
+    }
+
+    /**
+     * Move around the wheel by a number of steps, optionally switching A/B
+     */
+    function shift(notation, step, switchMode = false) {
+        const entry = getKey(notation);
+        if (!entry) return null;
+
+        const number = ((entry.number - 1 + step) % 12 + 12) % 12 + 1;
+        const letter = switchMode ? (entry.letter === 'A' ? 'B' : 'A') : entry.letter;
+
+        return `${number}${letter}`;
+    }
+
+    /**
+     * Compatible Camelot codes, the key itself first
+     */
+    function getCompatibleKeys(notation) {
+        const entry = getKey(notation);
+        if (!entry) return [];
+
+        return COMPATIBILITY_RULES.map(rule => shift(entry, rule.step, rule.switchMode));
+    }
+
+    /**
+     * Describe how two keys relate on the wheel
+     */
+    function getTransition(from, to) {
+        const source = getKey(from);
+        const target = getKey(to);
+        if (!source || !target) return null;
+
+        const rule = COMPATIBILITY_RULES.find(candidate =>
+            shift(source, candidate.step, candidate.switchMode) === target.camelot
+        );
+
+        const tuningDifference = getTuningDifference(from, to);
+
+        return {
+            from: source.camelot,
+            to: target.camelot,
+            compatible: Boolean(rule),
+            type: rule ? rule.type : 'clash',
+            label: rule ? rule.label : 'Not harmonically compatible',
+            tuningDifference,
+            inTune: tuningDifference === null || Math.abs(tuningDifference) <= MAX_TUNING_DIFFERENCE
+        };
+    }
+
+    /**
+     * Cents from one track's tuning to the other's (null unless both analyses report a tuning)
+     */
+    function getTuningDifference(from, to) {
+        const source = from?.tuning?.cents;
+        const target = to?.tuning?.cents;
+
+        return typeof source === 'number' && typeof target === 'number' ? target - source : null;
+    }
+
+    function isCompatible(from, to) {
+        return getTransition(from, to)?.compatible || false;
+    }
+
+    // Legacy shape: camelot code -> compatible codes
+    const CAMELOT_WHEEL = Object.freeze(Object.fromEntries(
+        KEYS.map(entry => [entry.camelot, getCompatibleKeys(entry)])
+    ));
+
+    // Public API
+    return {
+        KEYS,
+        CAMELOT_WHEEL,
+        COMPATIBILITY_RULES,
+        MAX_TUNING_DIFFERENCE,
+
+        getKey,
+        fromPitchClass,
+        toCamelot,
+        toOpenKey,
+        toStandard,
+        shift,
+        getCompatibleKeys,
+        getTransition,
+        getTuningDifference,
+        isCompatible
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FluxMusicTheory;
+} else {
+    window.FluxMusicTheory = FluxMusicTheory;
+}
@@ -0,0 +1,314 @@
+/**
+ * Flux Safe Fetch
+ * Download limits and SSRF protection for user-supplied audio and callback URLs
+ * shared by the Cloud Function and the server (Node only)
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const FluxErrors = require('./errors.js');
+
+const DEFAULTS = {
+    maxBytes: 25 * 1024 * 1024,
+    timeout: 8000,
+    maxRedirects: 3,
+    allowPrivateNetworks: false
+};
+
+// Content types a server may legitimately send for an audio file
+const AUDIO_CONTENT_TYPES = [/^audio\//, /^video\/mp4$/, /^application\/octet-stream$/, /^binary\/octet-stream$/];
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8],       // "this" network
+    ['10.0.0.0', 8],      // private
+    ['100.64.0.0', 10],   // carrier-grade NAT
+    ['127.0.0.0', 8],     // loopback
+    ['169.254.0.0', 16],  // link-local, cloud metadata
+    ['172.16.0.0', 12],   // private
+    ['192.0.0.0', 24],    // IETF protocol assignments
+    ['192.0.2.0', 24],    // documentation
+    ['192.168.0.0', 16],  // private
+    ['198.18.0.0', 15],   // benchmarking
+    ['198.51.100.0', 24], // documentation
+    ['203.0.113.0', 24],  // documentation
+    ['224.0.0.0', 4],     // multicast
+    ['240.0.0.0', 4]      // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],          // unspecified
+    ['::1', 128],         // loopback
+    ['64:ff9b:1::', 48],  // local-use NAT64, translates to any IPv4 address
+    ['2001::', 32],       // Teredo, tunnels to an obfuscated IPv4 address
+    ['2001:db8::', 32],   // documentation
+    ['fc00::', 7],        // unique local
+    ['fe80::', 10],       // link-local
+    ['ff00::', 8]         // multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+class SafeFetchError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SafeFetchError';
+        this.code = code;
+        this.statusCode = FluxErrors.statusFor(code);
+    }
+}
+
+/**
+ * True for loopback, private, link-local and other non-public addresses
+ */
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+
+    if (family === 6) {
+        const embedded = embeddedIpv4(address);
+        if (embedded && isBlockedAddress(embedded)) return true;
+
+        return BLOCKED_RANGES.check(address, 'ipv6');
+    }
+
+    return BLOCKED_RANGES.check(address, 'ipv4');
+}
+
+/**
+ * The IPv4 address an IPv6 address carries, if any: IPv4-mapped (::ffff:a.b.c.d),
+ * IPv4-compatible (::a.b.c.d), NAT64 (64:ff9b::a.b.c.d) and 6to4 (2002:aabb:ccdd::).
+ * Each reaches the IPv4 host, so it has to pass the IPv4 checks.
+ */
+function embeddedIpv4(address) {
+    const words = ipv6Words(address);
+    const ipv4 = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+    const zero = (from, to) => words.slice(from, to).every(word => word === 0);
+
+    if (zero(0, 5) && (words[5] === 0 || words[5] === 0xffff)) return ipv4(words[6], words[7]);
+    if (words[0] === 0x64 && words[1] === 0xff9b && zero(2, 6)) return ipv4(words[6], words[7]);
+    if (words[0] === 0x2002) return ipv4(words[1], words[2]);
+
+    return null;
+}
+
+/**
+ * Eight 16-bit words of an IPv6 address (already validated by net.isIP)
+ */
+function ipv6Words(address) {
+    const [head, tail] = address.split('::');
+    const parse = part => (part ? part.split(':') : []).flatMap(group => {
+        if (!group.includes('.')) return [parseInt(group, 16)];
+
+        const [a, b, c, d] = group.split('.').map(Number);
+        return [(a << 8) | b, (c << 8) | d];
+    });
+
+    const start = parse(head);
+    const end = tail === undefined ? [] : parse(tail);
+
+    return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+/**
+ * Parse and validate a user-supplied URL (protocol and credentials only, no DNS)
+ */
+function parseUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw new SafeFetchError('URL is not valid', 'AUDIO_URL_INVALID');
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new SafeFetchError('Only http and https URLs are allowed', 'AUDIO_URL_INVALID');
+    }
+
+    if (url.username || url.password) {
+        throw new SafeFetchError('URLs with credentials are not allowed', 'AUDIO_URL_INVALID');
+    }
+
+    return url;
+}
+
+/**
+ * Resolve a host and refuse it if any of its addresses is not public
+ */
+async function resolvePublicHost(hostname, { allowPrivateNetworks = false } = {}) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch {
+        throw new SafeFetchError(`Host ${host} could not be resolved`, 'AUDIO_HOST_NOT_FOUND');
+    }
+
+    if (!allowPrivateNetworks && addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new SafeFetchError(`Host ${host} resolves to a private or reserved address`, 'AUDIO_URL_BLOCKED');
+    }
+
+    return addresses;
+}
+
+/**
+ * Check that a URL is well-formed and points at a public host, without downloading it
+ */
+async function assertPublicUrl(value, options = {}) {
+    const url = parseUrl(value);
+    await resolvePublicHost(url.hostname, options);
+    return url;
+}
+
+/**
+ * Download a URL into memory with SSRF protection and limits.
+ * Resolves to { bytes, contentType, url, redirects }.
+ */
+async function safeFetch(value, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const deadline = Date.now() + settings.timeout;
+    let url = parseUrl(value);
+
+    for (let redirects = 0; ; redirects++) {
+        const response = await request(url, settings, deadline);
+
+        if (response.redirect) {
+            if (redirects >= settings.maxRedirects) {
+                throw new SafeFetchError(`Too many redirects (limit ${settings.maxRedirects})`, 'TOO_MANY_REDIRECTS');
+            }
+            url = parseUrl(new URL(response.redirect, url).href);
+            continue;
+        }
+
+        return { ...response, url: url.href, redirects };
+    }
+}
+
+/**
+ * POST a body to a user-supplied URL (job callbacks) with the same checks and pinned lookup.
+ * Redirects are never followed. Resolves to { status } for any HTTP response;
+ * only a blocked or malformed URL rejects with a non-retryable code.
+ */
+async function safePost(value, body, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const url = parseUrl(value);
+    const client = url.protocol === 'https:' ? https : http;
+    const lookup = pinnedLookup(await resolvePublicHost(url.hostname, settings));
+
+    return new Promise((resolve, reject) => {
+        const signal = AbortSignal.timeout(settings.timeout);
+        const headers = { ...settings.headers, 'Content-Length': Buffer.byteLength(body) };
+
+        const req = client.request(url, { method: 'POST', lookup, signal, headers }, (res) => {
+            // Only the status matters
+            res.resume();
+            resolve({ status: res.statusCode });
+        });
+
+        req.on('error', error => reject(signal.aborted
+            ? new SafeFetchError('Request timed out', 'UPSTREAM_TIMEOUT')
+            : new SafeFetchError(`Request failed: ${error.message}`, 'UPSTREAM_UNAVAILABLE')));
+        req.end(body);
+    });
+}
+
+/**
+ * A socket lookup that answers with already checked addresses, so a second DNS answer
+ * cannot slip a private address in between the check and the connection
+ */
+function pinnedLookup(addresses) {
+    return (hostname, lookupOptions, callback) => {
+        if (lookupOptions.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    };
+}
+
+/**
+ * One HTTP request. The host is resolved and checked up front and the socket
+ * connects to exactly those addresses.
+ */
+async function request(url, settings, deadline) {
+    const client = url.protocol === 'https:' ? https : http;
+    const lookup = pinnedLookup(await resolvePublicHost(url.hostname, settings));
+
+    return new Promise((resolve, reject) => {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            reject(new SafeFetchError('Audio download timed out', 'UPSTREAM_TIMEOUT'));
+            return;
+        }
+
+        // The deadline covers the whole download, including a slowly dripping body
+        const signal = AbortSignal.timeout(remaining);
+        const failed = error => reject(signal.aborted
+            ? new SafeFetchError('Audio download timed out', 'UPSTREAM_TIMEOUT')
+            : error instanceof SafeFetchError
+                ? error
+                : new SafeFetchError(`Audio download failed: ${error.message}`, 'DOWNLOAD_FAILED'));
+
+        const req = client.get(url, { lookup, signal, headers: { 'Accept': 'audio/*, */*;q=0.5' } }, (res) => {
+            const status = res.statusCode;
+
+            if (status >= 300 && status < 400 && res.headers.location) {
+                res.resume();
+                resolve({ redirect: res.headers.location });
+                return;
+            }
+
+            if (status < 200 || status >= 300) {
+                res.resume();
+                reject(new SafeFetchError(`Audio download failed: HTTP ${status}`, 'DOWNLOAD_FAILED'));
+                return;
+            }
+
+            const contentType = (res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (contentType && !AUDIO_CONTENT_TYPES.some(pattern => pattern.test(contentType))) {
+                reject(new SafeFetchError(`URL does not point to an audio file (${contentType})`, 'UNSUPPORTED_CONTENT_TYPE'));
+                res.destroy();
+                return;
+            }
+
+            const tooLarge = new SafeFetchError(
+                `Audio file is larger than ${Math.round(settings.maxBytes / 1024 / 1024)}MB`,
+                'AUDIO_TOO_LARGE'
+            );
+
+            if (Number(res.headers['content-length']) > settings.maxBytes) {
+                reject(tooLarge);
+                res.destroy();
+                return;
+            }
+
+            const chunks = [];
+            let received = 0;
+
+            res.on('data', (chunk) => {
+                received += chunk.length;
+                if (received > settings.maxBytes) {
+                    reject(tooLarge);
+                    res.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve({ bytes: Buffer.concat(chunks), contentType }));
+            res.on('error', failed);
+            res.on('aborted', () => failed(new Error('connection closed')));
+        });
+
+        req.on('error', failed);
+    });
+}
+
+module.exports = {
+    SafeFetchError,
+    isBlockedAddress,
+    assertPublicUrl,
+    safeFetch,
+    safePost
+};